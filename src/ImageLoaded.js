@@ -1,37 +1,151 @@
 import {IS_IE} from "./consts";
+import {window} from "./browser";
 import {utils} from "./utils";
 
+const toArray = nodes => Array.prototype.slice.call(nodes);
+
+// returns the url of the background image declared in the style attribute
+function getBackgroundURL(el) {
+	const match = /url\((['"]?)(.*?)\1\)/.exec(el.style && el.style.backgroundImage);
+
+	return match ? match[2] : "";
+}
+
+// Media without a source never load their metadata.
+// The metadata of media with preload="none" is not loaded either.
+function isMediaLoading(media) {
+	return media.readyState < 1 && media.getAttribute("preload") !== "none" &&
+		media.networkState !== media.NETWORK_EMPTY &&
+		!!(media.currentSrc || media.getAttribute("src") || media.querySelector("source"));
+}
+
+// An iframe without a source can be loaded before it is checked and a lazy iframe may not be loaded.
+// The loaded document of an iframe is known only if it has the same origin.
+function isIframeLoading(iframe) {
+	const src = iframe.getAttribute("src");
+	const doc = iframe.contentDocument;
+
+	if (!src || src === "about:blank" || iframe.getAttribute("loading") === "lazy") {
+		return false;
+	}
+	return !doc || doc.readyState !== "complete" || doc.URL === "about:blank";
+}
+
+// returns the object which fires the load event of a resource and the type of the event.
+// errorSource is the object which fires the error event if it is not the source.
+function getSource(target) {
+	switch (target.tagName) {
+		case "IMG":
+			// workaround for IE
+			if (IS_IE) {
+				const url = target.getAttribute("src");
+
+				target.setAttribute("src", "");
+				target.setAttribute("src", url);
+			}
+			return {source: target, type: "load"};
+		case "VIDEO":
+		case "AUDIO": {
+			// the size of media is known when the metadata is loaded.
+			// If the src attribute is not set, the last source element fires the error event when all sources fail.
+			const sources = target.getAttribute("src") ? [] : target.querySelectorAll("source");
+
+			return {
+				source: target,
+				type: "loadedmetadata",
+				errorSource: sources[sources.length - 1] || target,
+			};
+		}
+		case "IFRAME":
+			return {source: target, type: "load"};
+		default: {
+			// the background image is loaded with an image object
+			const image = new window.Image();
+
+			image.src = getBackgroundURL(target);
+			return {source: image, type: "load"};
+		}
+	}
+}
+
 const ImageLoaded = {
-	checkImageLoaded(el) {
-		return Array.prototype.slice.call(el.querySelectorAll("img"))
-			.filter(v => {
-				if (v.nodeType && ([1, 9, 11].indexOf(v.nodeType) !== -1)) {
-					return !v.complete;
-				} else {
-					return false;
+	// el: an element or an array of elements
+	// options.iframe: whether iframes are checked. They are waited for unless they are known to be loaded or not to be loaded.
+	// It returns images, media, iframes and elements with background images which are not loaded.
+	checkImageLoaded(el, options = {}) {
+		return [].concat(el).reduce((resources, v) => resources.concat(
+			toArray(v.querySelectorAll("img")).filter(image =>
+				image.nodeType && ([1, 9, 11].indexOf(image.nodeType) !== -1) && !image.complete),
+			toArray(v.querySelectorAll("video, audio")).filter(isMediaLoading),
+			options.iframe ? toArray(v.querySelectorAll("iframe")).filter(isIframeLoading) : [],
+			[v].concat(toArray(v.querySelectorAll("[style]"))).filter(target => {
+				const url = getBackgroundURL(target);
+				let image;
+
+				if (url) {
+					image = new window.Image();
+					image.src = url;
 				}
-			});
+				return image && !image.complete;
+			})
+		), []);
 	},
-	waitImageLoaded(needCheck, callback) {
-		let checkCount = needCheck.length;
-		const onCheck = function(e) {
-			checkCount--;
-			utils.removeEvent(e.target, "load", onCheck);
-			utils.removeEvent(e.target, "error", onCheck);
-			checkCount <= 0 && callback && callback();
+	// options.timeout: the time(ms) after which it stops waiting for resources not loaded
+	// options.error(target, isTimeout): called for each resource which fails to load or is timed out
+	waitImageLoaded(needCheck, callback, options = {}) {
+		let pending;
+		let timer;
+		const stop = () => {
+			clearTimeout(timer);
+			pending.forEach(v => {
+				utils.removeEvent(v.source, v.type, v.onCheck);
+				utils.removeEvent(v.errorSource, "error", v.onCheck);
+			});
 		};
 
-		needCheck.forEach(v => {
-			// workaround for IE
-			if (IS_IE) {
-				const url = v.getAttribute("src");
+		pending = needCheck.map(target => {
+			const resource = getSource(target);
 
-				v.setAttribute("src", "");
-				v.setAttribute("src", url);
-			}
-			utils.addEvent(v, "load", onCheck);
-			utils.addEvent(v, "error", onCheck);
+			resource.target = target;
+			resource.errorSource = resource.errorSource || resource.source;
+			resource.onCheck = e => {
+				pending.splice(pending.indexOf(resource), 1);
+				utils.removeEvent(resource.source, resource.type, resource.onCheck);
+				utils.removeEvent(resource.errorSource, "error", resource.onCheck);
+				e.type === "error" && options.error && options.error(target, false);
+				if (pending.length <= 0) {
+					clearTimeout(timer);
+					callback && callback();
+				}
+			};
+			utils.addEvent(resource.source, resource.type, resource.onCheck);
+			utils.addEvent(resource.errorSource, "error", resource.onCheck);
+			return resource;
 		});
+		if (options.timeout > 0) {
+			timer = setTimeout(() => {
+				stop();
+				options.error && pending.forEach(v => options.error(v.target, true));
+				callback && callback();
+			}, options.timeout);
+		}
+
+		// stops waiting
+		return stop;
+	},
+	// waits for resources in elements and calls the callback asynchronously
+	wait(el, callback, options) {
+		const needCheck = ImageLoaded.checkImageLoaded(el, options);
+
+		if (needCheck.length > 0) {
+			return ImageLoaded.waitImageLoaded(needCheck, callback, options);
+		}
+		// convert to async
+		const timer = setTimeout(() => {
+			callback && callback();
+		}, 0);
+
+		return () => clearTimeout(timer);
 	},
 };
 
@@ -4,12 +4,39 @@
 */
 import Component from "@egjs/component";
 import EventHandler from "./eventHandler";
-import {document} from "./browser";
-import {RETRY} from "./consts";
+import {window, document} from "./browser";
+import {RETRY, RESIZE_POLLING_INTERVAL, DIRECTION, LAYOUT_TYPE, ALIGN} from "./consts";
 import {Mixin, utils} from "./utils";
 import ImageLoaded from "./ImageLoaded";
 import LayoutManager from "./LayoutManager";
 
+// the result of a layout when nothing is added
+function getEmptyResult(isAppend) {
+	return {
+		target: [],
+		isAppend,
+		distance: 0,
+		croppedCount: 0,
+	};
+}
+
+// runs the callback with the options of a layout.
+// If options are given, it returns a promise settled when the layout is completed or aborted.
+function withPromise(options, isAppend, callback) {
+	if (!options) {
+		return callback({});
+	}
+	const signal = options.signal;
+
+	return new Promise((resolve, reject) => {
+		if (signal && signal.aborted) {
+			reject(utils.abortError("The layout is aborted"));
+		} else if (!callback({signal, resolve, reject})) {
+			resolve(getEmptyResult(isAppend));
+		}
+	});
+}
+
 /**
  * A module used to arrange card elements including content infinitely on a grid layout. With this module, you can implement a grid-pattern user interface composed of different card elements whose sizes vary. It guarantees performance by maintaining the number of DOMs the module is handling under any circumstance
  * @ko 콘텐츠가 있는 카드 엘리먼트를 그리드 레이아웃에 무한으로 배치하는 모듈. 다양한 크기의 카드 엘리먼트를 격자 모양으로 배치하는 UI를 만들 수 있다. 카드 엘리먼트의 개수가 계속 늘어나도 모듈이 처리하는 DOM의 개수를 일정하게 유지해 최적의 성능을 보장한다
@@ -50,6 +77,20 @@ var some = new eg.InfiniteGrid("#grid").on("layoutComplete", function(e) {
  **/
 const InfiniteGrid = class InfiniteGrid
 extends Mixin(Component).with(EventHandler) {
+	/**
+	 * Registers a layout that can be used with the layoutType option. A layout is a class created with the option object of the eg.InfiniteGrid module, which implements the following methods.<br>- measure(containerWidth, items): Measures the layout and resets it to start at 0.<br>- append(items): Sets the position and size of items placed after the end of the layout.<br>- prepend(items): Sets the position of items placed before the start of the layout.<br>- relayout(items, index): Places all items again from the start of the layout. If index is given, items are inserted or removed at the index and the items before it can keep their positions.<br>- sync(items): Updates the start and end of the layout after items are removed or moved.<br>- getLogicalSize(): Returns the size of the layout.<br>- getStatus(), setStatus(status): Returns and restores the state of the layout.<br>- isNeededResize(containerWidth): (Optional) Checks whether the layout must be rearranged for the new width of the container.
+	 * @ko layoutType 옵션에서 사용할 레이아웃을 등록한다. 레이아웃은 eg.InfiniteGrid 모듈의 옵션 객체로 생성되는 클래스로 다음 메서드를 구현한다.<br>- measure(containerWidth, items): 레이아웃의 크기를 측정하고 0부터 시작하도록 초기화한다.<br>- append(items): 레이아웃의 끝에 배치할 아이템의 위치와 크기를 설정한다.<br>- prepend(items): 레이아웃의 시작 앞에 배치할 아이템의 위치를 설정한다.<br>- relayout(items, index): 레이아웃의 시작부터 모든 아이템을 다시 배치한다. index가 주어지면 아이템이 index 위치에 삽입되거나 삭제된 것이며, 그 앞의 아이템은 위치를 유지할 수 있다.<br>- sync(items): 아이템이 삭제되거나 이동한 후 레이아웃의 시작과 끝을 갱신한다.<br>- getLogicalSize(): 레이아웃의 크기를 반환한다.<br>- getStatus(), setStatus(status): 레이아웃의 상태를 반환하고 복원한다.<br>- isNeededResize(containerWidth): (선택) 컨테이너의 너비가 바뀌었을 때 레이아웃을 다시 배치해야 하는지 확인한다.
+	 * @param {String} name The name of the layout <ko>레이아웃의 이름</ko>
+	 * @param {Function} Layout The layout class <ko>레이아웃 클래스</ko>
+	 * @example
+eg.InfiniteGrid.registerLayout("square", SquareLayout);
+var grid = new eg.InfiniteGrid("#grid", {
+	layoutType: "square"
+});
+	 */
+	static registerLayout(name, Layout) {
+		LayoutManager.register(name, Layout);
+	}
 	/**
 	 * @param {HTMLElement|String|jQuery} element A base element for a module <ko>모듈을 적용할 기준 엘리먼트</ko>
 	 * @param {Object} [options] The option object of the eg.InfiniteGrid module <ko>eg.InfiniteGrid 모듈의 옵션 객체</ko>
@@ -57,6 +98,28 @@ extends Mixin(Component).with(EventHandler) {
 	 * @param {Number} [options.count=30] The number of DOMs handled by module. If the count value is greater than zero, the number of DOMs is maintained. If the count value is zero or less than zero, the number of DOMs will increase as card elements are added. <ko>모듈이 유지할 실제 DOM의 개수. count 값이 0보다 크면 DOM 개수를 일정하게 유지한다. count 값이 0 이하면 카드 엘리먼트가 추가될수록 DOM 개수가 계속 증가한다.</ko>
 	 * @param {String} [options.defaultGroupKey=null] The default group key configured in a card element contained in the markup upon initialization of a module object <ko>모듈 객체를 초기화할 때 마크업에 있는 카드 엘리먼트에 설정할 그룹 키 </ko>
 	 * @param {Boolean} [options.isEqualSize=false] Indicates whether sizes of all card elements are equal to one another. If sizes of card elements to be arranged are all equal and this option is set to "true", the performance of layout arrangement can be improved. <ko>카드 엘리먼트의 크기가 동일한지 여부. 배치될 카드 엘리먼트의 크기가 모두 동일할 때 이 옵션을 'true'로 설정하면 레이아웃 배치 성능을 높일 수 있다</ko>
+	 * @param {HTMLElement|String|jQuery} [options.container=null] The scrollable element that contains the base element. If it is not set, the window is used as the scroll area. <ko>기준 엘리먼트를 감싸고 있는 스크롤 영역 엘리먼트. 설정하지 않으면 윈도우를 스크롤 영역으로 사용한다</ko>
+	 * @param {String} [options.direction="vertical"] The direction in which the grid layout grows. If it is set to "horizontal", card elements are arranged in rows of the same height and the layout grows to the right. The base element must have a height. <ko>그리드 레이아웃이 늘어나는 방향. "horizontal"로 설정하면 카드 엘리먼트가 같은 높이의 행에 배치되고 레이아웃이 오른쪽으로 늘어난다. 기준 엘리먼트에 높이가 지정돼 있어야 한다</ko>
+	 * @param {String|Function} [options.layoutType="masonry"] The type of the layout. "masonry" arranges card elements in columns of the same width and "justified" fills each row edge to edge while keeping the aspect ratio of card elements. The name of a layout registered with eg.InfiniteGrid.registerLayout() or a layout class can be also used. <ko>레이아웃의 종류. "masonry"는 카드 엘리먼트를 같은 너비의 열에 배치하고, "justified"는 카드 엘리먼트의 비율을 유지하면서 각 행을 가득 채워 배치한다. eg.InfiniteGrid.registerLayout() 메서드로 등록한 레이아웃의 이름이나 레이아웃 클래스를 사용할 수도 있다</ko>
+	 * @param {Number} [options.rowSize=200] The target height of a row in the justified layout (width in horizontal direction) <ko>justified 레이아웃에서 행의 목표 높이 (horizontal 방향에서는 너비)</ko>
+	 * @param {Number} [options.minRowSize=0] The minimum height of a row in the justified layout (width in horizontal direction) <ko>justified 레이아웃에서 행의 최소 높이 (horizontal 방향에서는 너비)</ko>
+	 * @param {Number} [options.maxRowSize=0] The maximum height of a row in the justified layout (width in horizontal direction). If it is zero, there is no maximum. <ko>justified 레이아웃에서 행의 최대 높이 (horizontal 방향에서는 너비). 0이면 최대 높이가 없다</ko>
+	 * @param {Number} [options.columns=0] The number of columns in the masonry layout. If it is set, card elements are resized to the width of the columns. If it is zero, the number of columns is calculated from the width of the first card element. <ko>masonry 레이아웃의 열 개수. 설정하면 카드 엘리먼트의 너비를 열의 너비로 변경한다. 0이면 첫 번째 카드 엘리먼트의 너비로 열의 개수를 계산한다</ko>
+	 * @param {Number} [options.columnWidth=0] The width of columns in the masonry layout. If it is set, card elements are resized to the width and the layout is rearranged on resize only when the number of columns is changed. <ko>masonry 레이아웃의 열 너비. 설정하면 카드 엘리먼트의 너비를 열의 너비로 변경하고, 창 크기가 바뀔 때 열의 개수가 바뀐 경우에만 레이아웃을 다시 배치한다</ko>
+	 * @param {Object} [options.breakpoints=null] The map of the width of the container to the number of columns in the masonry layout. The largest width which is less than or equal to the width of the container is used. (e.g. {0: 1, 600: 2, 1000: 3}) <ko>masonry 레이아웃에서 컨테이너의 너비에 따른 열 개수의 맵. 컨테이너의 너비보다 작거나 같은 가장 큰 너비의 값이 사용된다 (예: {0: 1, 600: 2, 1000: 3})</ko>
+	 * @param {Number} [options.columnGap=0] The horizontal space between card elements <ko>카드 엘리먼트 사이의 가로 간격</ko>
+	 * @param {Number} [options.rowGap=0] The vertical space between card elements <ko>카드 엘리먼트 사이의 세로 간격</ko>
+	 * @param {Boolean} [options.isRTL=null] Indicates whether columns are placed from the right in vertical direction. If it is not set, the computed direction of the base element is used. <ko>vertical 방향에서 열을 오른쪽부터 배치할지 여부. 설정하지 않으면 기준 엘리먼트의 계산된 direction 스타일을 사용한다</ko>
+	 * @param {Boolean} [options.useTransform=false] Indicates whether card elements are positioned with CSS transforms instead of top and left properties. The positions are applied in the next animation frame. <ko>카드 엘리먼트의 위치를 top, left 속성 대신 CSS transform으로 지정할지 여부. 위치는 다음 애니메이션 프레임에 적용된다</ko>
+	 * @param {Number} [options.transitionDuration=0] The duration of the animation(ms) in which card elements move to new positions and added card elements fade in. If it is zero, card elements are not animated. <ko>카드 엘리먼트가 새 위치로 이동하고 추가된 카드 엘리먼트가 나타나는 애니메이션의 시간(ms). 0이면 애니메이션을 하지 않는다</ko>
+	 * @param {String} [options.transitionEasing="ease"] The timing function of the animation <ko>애니메이션의 타이밍 함수</ko>
+	 * @param {Function} [options.renderItem=null] The function which creates a card element from a record added with the appendData() method. It receives the record and its index, and returns an HTML string or an element. Card elements are created only for records near the scroll area and created again when a user scrolls back to them. <ko>appendData() 메서드로 추가한 레코드로 카드 엘리먼트를 만드는 함수. 레코드와 레코드의 인덱스를 받아 HTML 문자열이나 엘리먼트를 반환한다. 카드 엘리먼트는 스크롤 영역 근처의 레코드에 대해서만 만들어지고, 사용자가 다시 스크롤하면 다시 만들어진다</ko>
+	 * @param {String|Function} [options.placeholder=null] The HTML of a placeholder element added with the appendPlaceholders() method, or the function which receives the group key and the index of a placeholder and returns an HTML string or an element. <ko>appendPlaceholders() 메서드로 추가하는 플레이스홀더 엘리먼트의 HTML이나, 그룹 키와 플레이스홀더의 인덱스를 받아 HTML 문자열이나 엘리먼트를 반환하는 함수</ko>
+	 * @param {Number} [options.resourceTimeout=0] The time(ms) to wait for resources in card elements to be loaded. The resources are images, the metadata of videos, iframes of added card elements and background images declared in the style attribute. Media without a source and iframes without a source or with the loading="lazy" attribute are not waited for. After the time, the layout is arranged with the resources not loaded and the imageError event is fired for them. If it is zero, the layout waits until all resources are loaded or fail to load. <ko>카드 엘리먼트의 리소스 로딩을 기다리는 시간(ms). 리소스는 이미지, 비디오의 메타데이터, 추가된 카드 엘리먼트의 iframe, style 속성에 선언된 배경 이미지다. 소스가 없는 미디어와, 소스가 없거나 loading="lazy" 속성이 있는 iframe은 기다리지 않는다. 시간이 지나면 로딩되지 않은 리소스로 레이아웃을 배치하고 해당 리소스에 대해 imageError 이벤트가 발생한다. 0이면 모든 리소스의 로딩이 끝나거나 실패할 때까지 기다린다</ko>
+	 * @param {Boolean} [options.isProgressive=false] Indicates whether each added card element is arranged as soon as its own images are loaded instead of waiting for all card elements to be added. It is applied only when card elements are appended. <ko>추가된 모든 카드 엘리먼트를 기다리지 않고 각 카드 엘리먼트의 이미지가 로딩되는 즉시 배치할지 여부. 카드 엘리먼트를 아래에 추가할 때만 적용된다</ko>
+	 * @param {Function} [options.itemSize=null] The function which receives a card element and its item, and returns the intrinsic size of the card element ({width, height}) if it is known. The layout is arranged with the aspect ratio of the size without waiting for images in the card element. The data-width and data-height attributes of a card element, or the data-width and data-height(width and height) attributes of the image in a card element are also used. <ko>카드 엘리먼트와 아이템을 받아, 카드 엘리먼트의 고유 크기({width, height})를 알고 있으면 반환하는 함수. 카드 엘리먼트의 이미지를 기다리지 않고 크기의 비율로 레이아웃을 배치한다. 카드 엘리먼트의 data-width, data-height 속성이나, 카드 엘리먼트에 있는 이미지의 data-width, data-height(width, height) 속성도 사용된다</ko>
+	 * @param {Boolean} [options.useResizeObserver=false] Indicates whether the sizes of card elements are observed after they are arranged. If the size of a card element is changed, only the card elements below it in the same columns are moved. If ResizeObserver is not supported, the sizes are checked periodically. It is not applied to the justified layout which sets the sizes of card elements. <ko>배치된 카드 엘리먼트의 크기를 관찰할지 여부. 카드 엘리먼트의 크기가 바뀌면 같은 열에서 그 아래에 있는 카드 엘리먼트만 이동한다. ResizeObserver를 지원하지 않으면 주기적으로 크기를 확인한다. 카드 엘리먼트의 크기를 지정하는 justified 레이아웃에는 적용되지 않는다</ko>
+	 * @param {Boolean} [options.useIntersectionObserver=false] Indicates whether the append and prepend events are fired by IntersectionObserver instead of checking the positions of card elements on every scroll event. Invisible sentinel elements are placed at the top and bottom of the layout and observed with the area of the scroll area extended by the value of the threshold option. It also works when the base element is in a transformed or nested scroll area. If IntersectionObserver is not supported, the scroll event is used. <ko>스크롤 이벤트마다 카드 엘리먼트의 위치를 확인하는 대신 IntersectionObserver로 append 이벤트와 prepend 이벤트를 발생시킬지 여부. 보이지 않는 센티널 엘리먼트를 레이아웃의 위와 아래에 배치하고, 스크롤 영역을 threshold 옵션의 값만큼 확장한 영역으로 관찰한다. 기준 엘리먼트가 변형(transform)되었거나 중첩된 스크롤 영역 안에 있어도 동작한다. IntersectionObserver를 지원하지 않으면 스크롤 이벤트를 사용한다</ko>
 	 * @param {Number} [options.threshold=300] The threshold size of an event area where card elements are added to a layout.<br>- append event: If the current vertical position of the scroll bar is greater than "the bottom property value of the card element at the top of the layout" plus "the value of the threshold option", the append event will occur.<br>- prepend event: If the current vertical position of the scroll bar is less than "the bottom property value of the card element at the top of the layout" minus "the value of the threshold option", the prepend event will occur. <ko>−	레이아웃에 카드 엘리먼트를 추가하는 이벤트가 발생하는 기준 영역의 크기.<br>- append 이벤트: 현재 스크롤의 y 좌표 값이 '레이아웃의 맨 아래에 있는 카드 엘리먼트의 top 속성의 값 + threshold 옵션의 값'보다 크면 append 이벤트가 발생한다.<br>- prepend 이벤트: 현재 스크롤의 y 좌표 값이 '레이아웃의 맨 위에 있는 카드 엘리먼트의 bottom 속성의 값 - threshold 옵션의 값'보다 작으면 prepend 이벤트가 발생한다</ko>
 	 *
 	 */
@@ -67,15 +130,39 @@ extends Mixin(Component).with(EventHandler) {
 			defaultGroupKey: null,
 			count: 30,
 			threshold: 300,
+			container: null,
+			direction: DIRECTION.VERTICAL,
+			layoutType: LAYOUT_TYPE.MASONRY,
+			rowSize: 200,
+			minRowSize: 0,
+			maxRowSize: 0,
+			columns: 0,
+			columnWidth: 0,
+			breakpoints: null,
+			columnGap: 0,
+			rowGap: 0,
+			isRTL: null,
+			useTransform: false,
+			transitionDuration: 0,
+			transitionEasing: "ease",
+			renderItem: null,
+			placeholder: null,
+			resourceTimeout: 0,
+			isProgressive: false,
+			itemSize: null,
+			useResizeObserver: false,
+			useIntersectionObserver: false,
 		}, options);
+		this._style = utils.getStyleNames(this.options.direction);
 
-		this.view = window;
+		this.view = this.options.container ?
+			utils.$(this.options.container) : window;
 		this.el = utils.$(el);
 		this.layoutManager = new LayoutManager(this.el, this.options);
 		this._reset();
 		this._resizeViewport();
 		if (this.el.children.length > 0) {
-			this.layout(
+			this._layout(
 				true,
 				LayoutManager.itemize(this.el.children, this.options.defaultGroupKey)
 			);
@@ -84,7 +171,19 @@ extends Mixin(Component).with(EventHandler) {
 		this._attachEvent();
 	}
 	_resizeViewport() {
-		this._status.clientHeight = utils.innerHeight(this.view);
+		// in horizontal direction, clientHeight is the width of the viewport
+		this._status.clientHeight = utils[this._style.innerSize1](this.view);
+	}
+	_getScrollPos() {
+		return utils[this._style.scroll](this.view);
+	}
+	_scrollTo(pos, isSmooth) {
+		const isHorizontal = this.options.direction === DIRECTION.HORIZONTAL;
+		// the scroll position of the other axis is kept
+		const x = isHorizontal ? pos : utils.scrollLeft(this.view);
+		const y = isHorizontal ? utils.scrollTop(this.view) : pos;
+
+		utils.scrollTo(this.view, x, y, isSmooth);
 	}
 
 	/**
@@ -101,12 +200,18 @@ extends Mixin(Component).with(EventHandler) {
 				data[p] = this._status[p];
 			}
 		}
+		// the sentinels are not a part of the layout
+		const attachSentinels = this._detachSentinels();
+		const html = this.el.innerHTML;
+
+		attachSentinels();
 		return {
-			html: this.el.innerHTML,
+			html,
 			cssText: this.el.style.cssText,
 			layoutManager: this.layoutManager.getStatus(),
 			options: Object.assign({}, this.options),
 			prop: data,
+			queueLength: this._queue.length,
 		};
 	}
 
@@ -128,6 +233,7 @@ extends Mixin(Component).with(EventHandler) {
 		this.layoutManager.setStatus(status.layoutManager);
 		this._status.topElement = this.getTopElement();
 		this._status.bottomElement = this.getBottomElement();
+		this._observeEdges();
 
 		return this;
 	}
@@ -160,62 +266,332 @@ extends Mixin(Component).with(EventHandler) {
 	}
 
 	/**
-	 * Rearranges a layout.
-	 * @ko 레이아웃을 다시 배치한다.
+	 * Rearranges a layout. If the isProcessing() method returns true, it is rearranged after the queued operations.
+	 * @ko 레이아웃을 다시 배치한다. isProcessing() 메서드의 반환값이 'true'이면 대기열의 작업 후에 다시 배치한다.
 	 * @param {Boolean} [isRelayout=true] Indicates whether a card element is being relayouted <ko>카드 엘리먼트 재배치 여부</ko>
-	 * @return {eg.InfiniteGrid} An instance of a module itself<ko>모듈 자신의 인스턴스</ko>
-	 *
-	 *  [private parameter]
+	 * @param {Object} [options] If it is set, a promise is returned instead of the instance. <ko>설정하면 인스턴스 대신 프로미스를 반환한다</ko>
+	 * @param {AbortSignal} [options.signal] The signal to cancel the layout while images are being loaded. The promise is rejected with an error whose name is "AbortError". <ko>이미지를 불러오는 동안 레이아웃을 취소할 시그널. 프로미스는 이름이 "AbortError"인 에러로 거부된다</ko>
+	 * @return {eg.InfiniteGrid|Promise} An instance of a module itself, or a promise resolved with the same object as the parameter of the layoutComplete event<ko>모듈 자신의 인스턴스. 또는 layoutComplete 이벤트의 파라미터와 같은 객체로 이행되는 프로미스</ko>
+	 */
+	layout(isRelayout = true, options) {
+		return withPromise(options, true, layoutOptions => {
+			if (this.isProcessing() || this._queue.length) {
+				this._enqueue({
+					type: "layout",
+					isRelayout,
+					layoutOptions,
+				});
+			} else {
+				this._layout(isRelayout, undefined, layoutOptions);
+			}
+			return this;
+		});
+	}
+	/*
 	 * _addItems: added items
 	 * _options: {
 	 *	 isAppend: Checks whether the append() method is used to add a card element.
 	 *	 removedCount: The number of deleted card elements to maintain the number of DOMs.
+	 *	 croppedItems: The maintained items removed with their elements, which are restored if the layout is aborted.
+	 *	 placeholders: Placeholder items to be replaced with added items.
+	 *	 index: The index at which added items are inserted. If it is null, they are added at the end.
+	 *	 signal: The signal to cancel the layout.
+	 *	 resolve, reject: The functions to settle the promise of the layout.
 	 *}
 	 */
-	layout(isRelayout = true, _addItems, _options) {
+	_layout(isRelayout, _addItems, _options) {
 		this._status.isProcessing = true;
+		// the cached sizes of records which are not rendered are no longer valid
+		isRelayout && this._data.forEach(v => {
+			!v.el && (v.size = null);
+		});
 		const options = Object.assign({
 			isAppend: true,
 			removedCount: 0,
+			croppedItems: [],
+			placeholders: [],
+			index: null,
+			signal: null,
+			resolve: null,
+			reject: null,
 		}, _options);
 
 		// for exception
 		if (!_addItems && !options.isAppend) {
 			options.isAppend = true;
 		}
-		this._waitResource(
-			isRelayout,
-			options.isAppend ? _addItems : _addItems.reverse(),
-			options
-		);
+		this._waitResource(isRelayout, _addItems, options);
 		return this;
 	}
 	_onLayoutComplete(isRelayout, addItems, options) {
-		this.layoutManager.layoutItems(isRelayout, addItems, options);
+		this._layoutItems(isRelayout, addItems, options);
 		this._postLayout(isRelayout, addItems, options);
 	}
+	_layoutItems(isRelayout, addItems, options) {
+		const prevItems = this.options.transitionDuration > 0 &&
+			this.layoutManager.items
+				.filter(v => !addItems || addItems.indexOf(v) === -1)
+				.map(v => ({item: v, position: Object.assign({}, v.position)}));
+
+		this.layoutManager.layoutItems(isRelayout, addItems, options);
+		// placeholders disappear when the card elements replacing them are arranged
+		options.placeholders.forEach(v => {
+			v && v.el.parentNode && v.el.parentNode.removeChild(v.el);
+		});
+		prevItems && this._animate(prevItems, addItems, options.isAppend);
+	}
+	_animate(prevItems, addItems, isAppend) {
+		this.layoutManager.animate(prevItems, addItems, isAppend, (movedItems, enterItems) => {
+			/**
+			 * This event is fired when card elements finish moving and appearing after layout is arranged. It is fired only if the value of the transitionDuration option is greater than zero.
+			 * @ko 레이아웃 배치 후 카드 엘리먼트의 이동과 등장이 끝났을 때 발생하는 이벤트. transitionDuration 옵션의 값이 0보다 클 때만 발생한다
+			 * @event eg.InfiniteGrid#transitionEnd
+			 *
+			 * @param {Object} param The object of data to be sent to an event <ko>이벤트에 전달되는 데이터 객체</ko>
+			 * @param {Array} param.moved Card elements which are moved<ko>이동한 카드 엘리먼트들</ko>
+			 * @param {Array} param.added Card elements which are added<ko>추가된 카드 엘리먼트들</ko>
+			 */
+			this.trigger("transitionEnd", {
+				moved: movedItems,
+				added: enterItems,
+			});
+		});
+	}
+
+	_abortLayout(addItems, options) {
+		const placeholders = options.placeholders.filter(v => v.el.parentNode);
+
+		if (addItems) {
+			addItems.forEach(v => {
+				v.el.parentNode && v.el.parentNode.removeChild(v.el);
+			});
+			// some items can be arranged already when each item is arranged
+			this.layoutManager.removeItems(addItems);
+			this._detachData(addItems);
+		}
+		// the card elements removed to keep the number of DOMs are restored
+		if (options.croppedItems.length) {
+			const isTop = options.isAppend;
+			const base = isTop ? this.el.firstChild : null;
+
+			options.croppedItems.forEach(v => {
+				v.item.el = v.el;
+				this.el.insertBefore(v.el, base);
+			});
+			this.layoutManager.restoreCroppedItems(options.croppedItems.map(v => v.item), isTop);
+		}
+		placeholders.length && this.layoutManager.restorePlaceholders(placeholders);
+		this._resizeContainerSize();
+		this._status.topElement = this.getTopElement();
+		this._status.bottomElement = this.getBottomElement();
+		this._status.isProcessing = false;
+		this._observeEdges();
+		options.reject && options.reject(utils.abortError("The layout is aborted"));
+		this._dequeue();
+	}
 
 	/**
-	 * Adds a card element at the bottom of a grid layout. This method is available only if the isProcessing() method returns false.
-	 * @ko 카드 엘리먼트를 그리드 레이아웃의 아래에 추가한다. isProcessing() 메서드의 반환값이 'false'일 때만 이 메서드를 사용할 수 있다
-	 * 이 메소드는 isProcessing()의 반환값이 false일 경우에만 사용 가능하다.
+	 * Adds a card element at the bottom of a grid layout. If the isProcessing() method returns true, the card elements are queued and added in order after the current layout is completed. Queued card elements with the same group key are added at once.
+	 * @ko 카드 엘리먼트를 그리드 레이아웃의 아래에 추가한다. isProcessing() 메서드의 반환값이 'true'이면 카드 엘리먼트는 대기열에 들어가고 현재 레이아웃 배치가 끝난 후 순서대로 추가된다. 대기열에 있는 같은 그룹 키의 카드 엘리먼트는 한 번에 추가된다
 	 * @param {Array|jQuery} elements Array of the card elements to be added <ko>추가할 카드 엘리먼트의 배열</ko>
 	 * @param {Number|String} [groupKey] The group key to be configured in a card element. It is set to "undefined" by default.<ko>추가할 카드 엘리먼트에 설정할 그룹 키. 생략하면 값이 'undefined'로 설정된다</ko>
-	 * @return {Number} The number of added card elements <ko>추가된 카드 엘리먼트의 개수</ko>
+	 * @param {Object} [options] If it is set, a promise is returned instead of the number of added card elements. <ko>설정하면 추가된 카드 엘리먼트의 개수 대신 프로미스를 반환한다</ko>
+	 * @param {AbortSignal} [options.signal] The signal to cancel adding card elements while their images are being loaded. The card elements are removed and the promise is rejected with an error whose name is "AbortError". <ko>이미지를 불러오는 동안 카드 엘리먼트 추가를 취소할 시그널. 카드 엘리먼트는 삭제되고 프로미스는 이름이 "AbortError"인 에러로 거부된다</ko>
+	 * @return {Number|Promise} The number of added card elements, or a promise resolved with the same object as the parameter of the layoutComplete event <ko>추가된 카드 엘리먼트의 개수. 또는 layoutComplete 이벤트의 파라미터와 같은 객체로 이행되는 프로미스</ko>
+	 * @example
+var controller = new AbortController();
+
+grid.append(elements, groupKey, {signal: controller.signal}).then(function(e) {
+	console.log(e.target.length, e.croppedCount);
+});
+// cancel while images are being loaded
+controller.abort();
 	 */
-	append(paramElements, groupKey) {
-		return this._insert(paramElements, groupKey, true);
+	append(paramElements, groupKey, options) {
+		return withPromise(options, true, layoutOptions =>
+			this._insert(paramElements, groupKey, true, layoutOptions));
 	}
 
 	/**
-	 * Adds a card element at the top of a grid layout. This method is available only if the isProcessing() method returns false and the isRecycling() method returns true.
-	 * @ko 카드 엘리먼트를 그리드 레이아웃의 위에 추가한다. isProcessing() 메서드의 반환값이 'false'이고, isRecycling() 메서드의 반환값이 'true'일 때만 이 메서드를 사용할 수 있다
+	 * Adds a card element at the top of a grid layout. This method is available only if the isRecycling() method returns true. If the isProcessing() method returns true, the card elements are queued and added in order after the current layout is completed.
+	 * @ko 카드 엘리먼트를 그리드 레이아웃의 위에 추가한다. isRecycling() 메서드의 반환값이 'true'일 때만 이 메서드를 사용할 수 있다. isProcessing() 메서드의 반환값이 'true'이면 카드 엘리먼트는 대기열에 들어가고 현재 레이아웃 배치가 끝난 후 순서대로 추가된다
 	 * @param {Array|jQuery} elements Array of the card elements to be added <ko>추가할 카드 엘리먼트 배열</ko>
 	 * @param {Number|String} [groupKey] The group key to be configured in a card element. It is set to "undefined" by default.<ko>추가할 카드 엘리먼트에 설정할 그룹 키. 생략하면 값이 'undefined'로 설정된다</ko>
-	 * @return {Number} The number of added card elements <ko>추가된 카드 엘리먼트의 개수</ko>
+	 * @param {Object} [options] If it is set, a promise is returned instead of the number of added card elements. <ko>설정하면 추가된 카드 엘리먼트의 개수 대신 프로미스를 반환한다</ko>
+	 * @param {AbortSignal} [options.signal] The signal to cancel adding card elements while their images are being loaded <ko>이미지를 불러오는 동안 카드 엘리먼트 추가를 취소할 시그널</ko>
+	 * @return {Number|Promise} The number of added card elements, or a promise resolved with the same object as the parameter of the layoutComplete event <ko>추가된 카드 엘리먼트의 개수. 또는 layoutComplete 이벤트의 파라미터와 같은 객체로 이행되는 프로미스</ko>
+	 */
+	prepend(paramElements, groupKey, options) {
+		return withPromise(options, false, layoutOptions =>
+			this._insert(paramElements, groupKey, false, layoutOptions));
+	}
+
+	/**
+	 * Inserts card elements before a card element on a grid layout. The card elements before them keep their positions and only the card elements after them are arranged again. The card elements of a group are kept together, so if the card elements have a different group key, they are inserted after the group which contains the position. To maintain the number of DOMs, the groups at the top before the position are removed. If the isProcessing() method returns true, the card elements are queued and inserted in order after the current layout is completed.
+	 * @ko 그리드 레이아웃의 카드 엘리먼트 앞에 카드 엘리먼트를 삽입한다. 앞에 있는 카드 엘리먼트는 위치를 유지하고 뒤에 있는 카드 엘리먼트만 다시 배치된다. 그룹의 카드 엘리먼트는 함께 유지되므로, 다른 그룹 키의 카드 엘리먼트는 해당 위치를 포함하는 그룹의 뒤에 삽입된다. DOM의 개수를 유지하기 위해 위치 앞에 있는 맨 위의 그룹이 삭제된다. isProcessing() 메서드의 반환값이 'true'이면 카드 엘리먼트는 대기열에 들어가고 현재 레이아웃 배치가 끝난 후 순서대로 삽입된다
+	 * @param {HTMLElement|Number} target The card element before which the card elements are inserted, or its index in the card elements currently being maintained. If the index is equal to the number of the card elements, they are added at the bottom. <ko>카드 엘리먼트를 삽입할 위치의 카드 엘리먼트나 현재 유지하고 있는 카드 엘리먼트에서 그 카드 엘리먼트의 인덱스. 인덱스가 카드 엘리먼트의 개수와 같으면 아래에 추가된다</ko>
+	 * @param {Array|jQuery} elements Array of the card elements to be inserted <ko>삽입할 카드 엘리먼트의 배열</ko>
+	 * @param {Number|String} [groupKey] The group key to be configured in a card element. If it is omitted, the group key of the card element before the position is used. <ko>삽입할 카드 엘리먼트에 설정할 그룹 키. 생략하면 삽입할 위치 앞에 있는 카드 엘리먼트의 그룹 키가 사용된다</ko>
+	 * @param {Object} [options] If it is set, a promise is returned instead of the number of inserted card elements. <ko>설정하면 삽입된 카드 엘리먼트의 개수 대신 프로미스를 반환한다</ko>
+	 * @param {AbortSignal} [options.signal] The signal to cancel inserting card elements while their images are being loaded <ko>이미지를 불러오는 동안 카드 엘리먼트 삽입을 취소할 시그널</ko>
+	 * @return {Number|Promise} The number of inserted card elements, or a promise resolved with the same object as the parameter of the layoutComplete event <ko>삽입된 카드 엘리먼트의 개수. 또는 layoutComplete 이벤트의 파라미터와 같은 객체로 이행되는 프로미스</ko>
+	 * @example
+// inserts a promoted card after the third card element
+grid.insert(3, "<li class='card promoted'>...</li>");
+	 */
+	insert(target, paramElements, groupKey, options) {
+		return withPromise(options, true, layoutOptions =>
+			this._insert(paramElements, groupKey, true, layoutOptions, target));
+	}
+
+	/**
+	 * Adds placeholder elements created with the placeholder option at the bottom of a grid layout while card elements of a group are loading. When card elements with the same group key are added with the append() method, the placeholder elements are replaced with them at once after they are ready, and they are placed in the columns of the placeholders where possible. This method is available only if the isProcessing() method returns false.
+	 * @ko 그룹의 카드 엘리먼트를 불러오는 동안 placeholder 옵션으로 만든 플레이스홀더 엘리먼트를 그리드 레이아웃의 아래에 추가한다. 같은 그룹 키의 카드 엘리먼트를 append() 메서드로 추가하면 카드 엘리먼트가 준비된 후 플레이스홀더 엘리먼트를 한 번에 대체하고, 가능하면 플레이스홀더의 열에 배치된다. isProcessing() 메서드의 반환값이 'false'일 때만 이 메서드를 사용할 수 있다
+	 * @param {Number} count The number of placeholder elements <ko>플레이스홀더 엘리먼트의 개수</ko>
+	 * @param {Number|String} groupKey The group key of card elements to be loaded <ko>불러올 카드 엘리먼트의 그룹 키</ko>
+	 * @return {Number} The number of added placeholder elements <ko>추가된 플레이스홀더 엘리먼트의 개수</ko>
+	 * @example
+var grid = new eg.InfiniteGrid("#grid", {
+	placeholder: "<li class='card skeleton' style='height:200px'></li>"
+});
+
+grid.on("append", function(e) {
+	var groupKey = nextGroupKey++;
+
+	grid.appendPlaceholders(10, groupKey);
+	fetchCards().then(function(html) {
+		grid.append(html, groupKey);
+	});
+});
+	 */
+	appendPlaceholders(count, groupKey) {
+		const placeholder = this.options.placeholder;
+
+		if (this.isProcessing() || !placeholder || count <= 0) {
+			return 0;
+		}
+		const elements = [];
+
+		for (let i = 0; i < count; i++) {
+			elements.push(utils.$(typeof placeholder === "function" ?
+				placeholder(groupKey, i) : placeholder));
+		}
+		const items = LayoutManager.itemize(elements, groupKey);
+
+		items.forEach(v => {
+			v.isPlaceholder = true;
+		});
+		return this._insertItems(items, true);
+	}
+
+	/**
+	 * Adds records at the end of the data of a grid layout. Card elements are created with the renderItem option only for records near the scroll area. The records which are recycled keep their sizes and are rendered again when a user scrolls back to them, instead of firing the append or prepend event.
+	 * @ko 그리드 레이아웃의 데이터 끝에 레코드를 추가한다. 카드 엘리먼트는 스크롤 영역 근처의 레코드에 대해서만 renderItem 옵션으로 만들어진다. 재활용된 레코드는 크기를 유지하고, 사용자가 다시 스크롤하면 append 이벤트나 prepend 이벤트 대신 다시 렌더링된다
+	 * @param {Array} records Array of the records to be added <ko>추가할 레코드의 배열</ko>
+	 * @param {Number|String} [groupKey] The group key to be configured in card elements of the records. It is set to "undefined" by default.<ko>레코드의 카드 엘리먼트에 설정할 그룹 키. 생략하면 값이 'undefined'로 설정된다</ko>
+	 * @return {Number} The number of added card elements. If the isProcessing() method returns true, the records are rendered after the queued operations and 0 is returned. <ko>추가된 카드 엘리먼트의 개수. isProcessing() 메서드의 반환값이 'true'이면 대기열의 작업 후에 레코드가 렌더링되고 0이 반환된다</ko>
+	 * @example
+var grid = new eg.InfiniteGrid("#grid", {
+	renderItem: function(record, index) {
+		return "<li class='card'><img src='" + record.src + "'></li>";
+	}
+});
+
+grid.on("append", function(e) {
+	fetchRecords().then(function(records) {
+		grid.appendData(records);
+	});
+});
+	 */
+	appendData(records, groupKey) {
+		const data = this._data;
+		const isRenderedToEnd = this._getDataRange()[1] === data.length - 1;
+		const batch = data.length ? data[data.length - 1].batch + 1 : 0;
+
+		records.forEach(record => {
+			data.push({
+				el: null,
+				position: {
+					x: 0,
+					y: 0,
+				},
+				groupKey: typeof groupKey === "undefined" ? null : groupKey,
+				data: record,
+				index: data.length,
+				batch,
+			});
+		});
+		if (this.isProcessing() || this._queue.length) {
+			// the records are rendered after the queued operations if the records before them are rendered
+			this._enqueue({
+				type: "data",
+				batch,
+				layoutOptions: {},
+			});
+			return 0;
+		}
+		return isRenderedToEnd ? this._renderData(true) : 0;
+	}
+
+	/**
+	 * Returns the records added with the appendData() method, including records whose card elements are not rendered.
+	 * @ko appendData() 메서드로 추가한 레코드를 반환한다. 카드 엘리먼트가 렌더링되지 않은 레코드도 포함된다
+	 * @return {Array} List of the records <ko>레코드의 목록</ko>
 	 */
-	prepend(paramElements, groupKey) {
-		return this._insert(paramElements, groupKey, false);
+	getData() {
+		return this._data.map(v => v.data);
+	}
+
+	// [the index of the first rendered record, the index of the last rendered record]
+	_getDataRange() {
+		// card elements added with the append() method are not records
+		const indexes = this.layoutManager.items
+			.filter(v => !v.isPlaceholder && v.index != null)
+			.map(v => v.index);
+
+		return indexes.length ? [Math.min(...indexes), Math.max(...indexes)] : [0, -1];
+	}
+
+	// renders the next(previous when prepending) batch of records which are not rendered
+	// batch: the batch to be rendered, if only it is expected
+	_renderData(isAppend, batch) {
+		const renderItem = this.options.renderItem;
+		const range = this._getDataRange();
+		const target = this._data[isAppend ? range[1] + 1 : range[0] - 1];
+
+		if (!renderItem || !target || (!isAppend && range[1] < 0) ||
+			(batch != null && target.batch !== batch)) {
+			return 0;
+		}
+		const count = this.options.count;
+		const records = this._data.filter(v => v.batch === target.batch &&
+			(isAppend ? v.index > range[1] : v.index < range[0]));
+		// the records which would be trimmed to keep the number of DOMs are not rendered
+		const items = isAppend ? records.slice(0, count) : records.slice(-count);
+
+		items.forEach(v => {
+			v.el = utils.$(renderItem(v.data, v.index));
+		});
+		return this._insertItems(items, isAppend);
+	}
+
+	// recycled records are rendered again when they are needed
+	_detachData(items) {
+		this.options.renderItem && items.forEach(v => {
+			v.el = null;
+		});
+	}
+
+	// removed records are not rendered again
+	_removeData(items) {
+		const data = this._data.filter(v => items.indexOf(v) === -1);
+
+		if (data.length !== this._data.length) {
+			data.forEach((v, i) => {
+				v.index = i;
+			});
+			this._data = data;
+		}
 	}
 
 	/**
@@ -225,7 +601,7 @@ extends Mixin(Component).with(EventHandler) {
 	 */
 	clear() {
 		this.el.innerHTML = "";
-		this.el.style.height = "";
+		this.el.style[this._style.size1] = "";
 		this._reset();
 		return this;
 	}
@@ -255,15 +631,145 @@ extends Mixin(Component).with(EventHandler) {
 		return item && item.el;
 	}
 
-	_resizeContainerHeight() {
-		this.el.style.height = `${this.layoutManager.getLogicalHeight()}px`;
+	/**
+	 * Returns the card elements displayed in the scroll area. They are calculated from the positions and sizes of card elements in the layout without reading the DOM of each card element.
+	 * @ko 스크롤 영역에 표시된 카드 엘리먼트를 반환한다. 각 카드 엘리먼트의 DOM을 읽지 않고 레이아웃에 있는 카드 엘리먼트의 위치와 크기로 계산한다
+	 * @return {Array} List of objects which have the card element(element), the item(item), the group key(groupKey) and the ratio of the visible size to the size of the card element(ratio) <ko>카드 엘리먼트(element), 아이템(item), 그룹 키(groupKey), 카드 엘리먼트의 크기에 대한 보이는 크기의 비율(ratio)을 가진 객체의 목록</ko>
+	 * @example
+grid.getVisibleItems().forEach(function(v) {
+	v.ratio >= 0.5 && sendImpression(v.groupKey, v.element);
+});
+	 */
+	getVisibleItems() {
+		// the start of the scroll area from the start of the base element
+		const start = this._getViewOffset() -
+			this.el.getBoundingClientRect()[this._style.startPos1];
+
+		return this.layoutManager.getVisibleItems(start, start + this._status.clientHeight)
+			.map(({item, ratio}) => ({
+				element: item.el,
+				item,
+				groupKey: item.groupKey,
+				ratio,
+			}));
+	}
+
+	/**
+	 * Scrolls to a card element on a grid layout.
+	 * @ko 그리드 레이아웃의 카드 엘리먼트로 스크롤한다
+	 * @param {HTMLElement|Number} target The card element or the index of the card element in the card elements currently being maintained <ko>카드 엘리먼트나 현재 유지하고 있는 카드 엘리먼트에서 카드 엘리먼트의 인덱스</ko>
+	 * @param {Object} [options] The options of scrolling <ko>스크롤 옵션</ko>
+	 * @param {String} [options.align="start"] The position of the card element in the scroll area after scrolling. "start", "center" or "end" can be used. <ko>스크롤한 후 스크롤 영역에서 카드 엘리먼트의 위치. "start", "center", "end"를 사용할 수 있다</ko>
+	 * @param {Boolean} [options.isSmooth=false] Indicates whether it scrolls smoothly. If the browser does not support smooth scrolling, it scrolls immediately. <ko>부드럽게 스크롤할지 여부. 브라우저가 부드러운 스크롤을 지원하지 않으면 즉시 스크롤한다</ko>
+	 * @return {Boolean} Indicates whether it scrolls. If the card element is not maintained, it returns false. <ko>스크롤했는지 여부. 카드 엘리먼트를 유지하고 있지 않으면 'false'를 반환한다</ko>
+	 */
+	scrollToItem(target, options) {
+		const items = this.layoutManager.items;
+		const item = typeof target === "number" ?
+			items[target] : items.filter(v => v.el === target)[0];
+
+		return !!item && this._scrollToItem(item, options);
+	}
+
+	/**
+	 * Scrolls to the card element at the top of a group. If the card elements of the group have been recycled, the restoreGroup event is fired instead. If the card elements of the group are added with the first layout after the event, it scrolls to them after the layout is arranged. It does not scroll if the user scrolls before that.
+	 * @ko 그룹의 맨 위에 있는 카드 엘리먼트로 스크롤한다. 그룹의 카드 엘리먼트가 재활용됐으면 대신 restoreGroup 이벤트가 발생한다. 이벤트 후 첫 번째 레이아웃 배치에서 그룹의 카드 엘리먼트가 추가되면 레이아웃 배치가 끝난 후 스크롤한다. 그 전에 사용자가 스크롤하면 스크롤하지 않는다
+	 * @param {Number|String} groupKey The group key of card elements <ko>카드 엘리먼트의 그룹 키</ko>
+	 * @param {Object} [options] The options of scrolling. They are the same as the options of the scrollToItem() method. <ko>스크롤 옵션. scrollToItem() 메서드의 옵션과 같다</ko>
+	 * @return {Boolean} Indicates whether it scrolls. If the card elements of the group are not maintained, it returns false. <ko>스크롤했는지 여부. 그룹의 카드 엘리먼트를 유지하고 있지 않으면 'false'를 반환한다</ko>
+	 * @example
+grid.on("restoreGroup", function(e) {
+	// the group is scrolled to after the layout is arranged
+	grid.prepend(getCards(e.groupKey), e.groupKey);
+});
+grid.scrollToGroup(3, {align: "center", isSmooth: true});
+	 */
+	scrollToGroup(groupKey, options) {
+		const {pos1, pos2} = this._style;
+		const items = this.layoutManager.items.filter(v => v.groupKey === groupKey);
+
+		if (!items.length) {
+			this._scrollTarget = {groupKey, options, isProcessing: this.isProcessing()};
+			/**
+			 * This event is fired when the group to be scrolled to with the scrollToGroup() method has been recycled. Add the card elements of the group with the append() or prepend() method to scroll to them.
+			 * @ko scrollToGroup() 메서드로 스크롤할 그룹이 재활용됐을 때 발생하는 이벤트. append() 메서드나 prepend() 메서드로 그룹의 카드 엘리먼트를 추가하면 그 카드 엘리먼트로 스크롤한다
+			 * @event eg.InfiniteGrid#restoreGroup
+			 *
+			 * @param {Object} param The object of data to be sent to an event <ko>이벤트에 전달되는 데이터 객체</ko>
+			 * @param {Number|String} param.groupKey The group key of card elements to be restored <ko>복원할 카드 엘리먼트의 그룹 키</ko>
+			 */
+			this.trigger("restoreGroup", {
+				groupKey,
+			});
+			return false;
+		}
+		// the top item of the group. If the positions are same, the left item is used.
+		const item = items.reduce((top, v) => {
+			const pos = v.position[pos1];
+			const topPos = top.position[pos1];
+
+			return pos < topPos || (pos === topPos && v.position[pos2] < top.position[pos2]) ? v : top;
+		});
+
+		return this._scrollToItem(item, options);
+	}
+
+	_scrollToItem(item, options = {}) {
+		const {pos1, size1, startPos1} = this._style;
+		// the position of the base element in the scroll area
+		const offset = this._getScrollPos() +
+			this.el.getBoundingClientRect()[startPos1] - this._getViewOffset();
+		const space = this._status.clientHeight - item.size[size1];
+		let pos = offset + item.position[pos1];
+
+		if (options.align === ALIGN.CENTER) {
+			pos -= space / 2;
+		} else if (options.align === ALIGN.END) {
+			pos -= space;
+		}
+		this._scrollTarget = null;
+		this._scrollTo(Math.max(pos, 0), options.isSmooth);
+		return true;
+	}
+
+	_checkVisibleItems() {
+		if (this.isProcessing() || !this.hasOn("visibleChange")) {
+			return;
+		}
+		const prevItems = this._visibleItems;
+		const items = this.getVisibleItems();
+		const visible = items.filter(v => !prevItems.some(prev => prev.item === v.item));
+		const hidden = prevItems.filter(prev => !items.some(v => v.item === prev.item));
+
+		this._visibleItems = items;
+		/**
+		 * This event is fired when card elements appear in or disappear from the scroll area after a user scrolls or the layout is arranged.
+		 * @ko 사용자가 스크롤하거나 레이아웃이 배치된 후 카드 엘리먼트가 스크롤 영역에 나타나거나 사라질 때 발생하는 이벤트
+		 * @event eg.InfiniteGrid#visibleChange
+		 *
+		 * @param {Object} param The object of data to be sent to an event <ko>이벤트에 전달되는 데이터 객체</ko>
+		 * @param {Array} param.visible Card elements which appear. They have the same properties as the return value of the getVisibleItems() method. <ko>나타난 카드 엘리먼트. getVisibleItems() 메서드의 반환값과 같은 속성을 가진다</ko>
+		 * @param {Array} param.hidden Card elements which disappear. The card elements which are recycled are included. <ko>사라진 카드 엘리먼트. 재활용된 카드 엘리먼트도 포함된다</ko>
+		 * @param {Array} param.items All card elements displayed in the scroll area <ko>스크롤 영역에 표시된 모든 카드 엘리먼트</ko>
+		 */
+		(visible.length || hidden.length) && this.trigger("visibleChange", {
+			visible,
+			hidden,
+			items,
+		});
+	}
+
+	_resizeContainerSize() {
+		this.el.style[this._style.size1] = `${this.layoutManager.getLogicalSize()}px`;
 	}
 
 	_postLayout(isRelayout, addItems = [], options) {
 		if (!this.isProcessing()) {
+			// cleared while waiting
+			options.reject && options.reject(utils.abortError("The layout is aborted"));
 			return;
 		}
-		this._resizeContainerHeight();
+		this._resizeContainerSize();
 		this._timer.doubleCheckCount = RETRY;
 
 		// refresh element
@@ -274,15 +780,29 @@ extends Mixin(Component).with(EventHandler) {
 
 		if (!options.isAppend) {
 			distance = addItems.length >= this.layoutManager.items.length ?
-					0 : this.layoutManager.items[addItems.length].position.y;
+					0 : this.layoutManager.items[addItems.length].position[this._style.pos1];
 			if (distance > 0) {
-				this._status.prevScrollTop = utils.scrollTop() + distance;
-				this.view.scrollTo(0, this._status.prevScrollTop);
+				this._status.prevScrollTop = this._getScrollPos() + distance;
+				this._scrollTo(this._status.prevScrollTop);
 			}
 		}
 
 		// reset flags
 		this._status.isProcessing = false;
+		this._observeItems();
+		this._observeEdges();
+		this._checkVisibleItems();
+		// the group requested with the restoreGroup event is scrolled to only after the first layout following the event
+		const scrollTarget = this._scrollTarget;
+
+		if (scrollTarget && this.layoutManager.items.some(v => v.groupKey === scrollTarget.groupKey)) {
+			this.scrollToGroup(scrollTarget.groupKey, scrollTarget.options);
+		} else if (scrollTarget && scrollTarget.isProcessing) {
+			// the layout in progress at the event is completed
+			scrollTarget.isProcessing = false;
+		} else {
+			this._scrollTarget = null;
+		}
 
 		/**
 		 * This event is fired when layout is successfully arranged through a call to the append(), prepend(), or layout() method.
@@ -295,25 +815,29 @@ extends Mixin(Component).with(EventHandler) {
 		 * @param {Number} param.distance Distance the card element at the top of a grid layout has moved after the layoutComplete event is fired. In other words, it is the same as an increased height with a new card element added using the prepend() method <ko>그리드 레이아웃의 맨 위에 있던 카드 엘리먼트가 layoutComplete 이벤트 발생 후 이동한 거리. 즉, prepend() 메서드로 카드 엘리먼트가 추가돼 늘어난 높이다.</ko>
 		 * @param {Number} param.croppedCount The number of deleted card elements to maintain the number of DOMs<ko>일정한 DOM 개수를 유지하기 위해, 삭제한 카드 엘리먼트들의 개수</ko>
 		 */
-		this.trigger("layoutComplete", {
+		const result = {
 			target: addItems.concat(),
 			isAppend: options.isAppend,
 			distance,
 			croppedCount: options.removedCount,
-		});
+		};
+
+		this.trigger("layoutComplete", Object.assign({}, result));
+		options.resolve && options.resolve(result);
 
 		!options.isAppend && this._doubleCheckForPrepend();
+		this._dequeue();
 	}
 
 	_doubleCheckForPrepend() {
 		// doublecheck!!! (workaround)
-		if (utils.scrollTop() === 0) {
+		if (this._getScrollPos() === 0) {
 			// var self = this;
 			clearInterval(this._timer.doubleCheck);
 			this._timer.doubleCheck = setInterval(() => {
-				if (utils.scrollTop() === 0) {
+				if (this._getScrollPos() === 0) {
 					this.trigger("prepend", {
-						scrollTop: 0,
+						[this._style.scroll]: 0,
 					});
 					(--this._timer.doubleCheckCount <= 0) && clearInterval(this._timer.doubleCheck);
 				}
@@ -321,102 +845,359 @@ extends Mixin(Component).with(EventHandler) {
 		}
 	}
 
-	_prepareElement(paramElements) {
-		let elements = utils.$(paramElements, true);
+	// elements => [HTMLElement, HTMLElement, ...]
+	// target: the element or the index before which items are inserted, if any
+	_insert(paramElements, groupKey, isAppend, layoutOptions, target) {
+		if (paramElements.length === 0) {
+			return 0;
+		}
+		const elements = utils.$(paramElements, true)
+			.filter(v => /DIV|SPAN|LI/.test(v.tagName));
+		const isInsert = typeof target !== "undefined";
+		let type = isAppend ? "append" : "prepend";
+
+		isInsert && (type = "insert");
+		if (elements.length && (this.isProcessing() || this._queue.length)) {
+			return this._enqueue({
+				type,
+				elements,
+				groupKey,
+				target,
+				layoutOptions: layoutOptions || {},
+			});
+		}
+		const items = LayoutManager.itemize(elements, groupKey);
+
+		return isInsert ? this._insertItemsAt(items, target, layoutOptions) :
+			this._insertItems(items, isAppend, layoutOptions);
+	}
+
+	// queues an operation requested while processing
+	_enqueue(task) {
+		const queue = this._queue;
+		const last = queue[queue.length - 1];
+		const signal = task.layoutOptions.signal;
 
-		elements = elements.filter(v => /DIV|SPAN|LI/.test(v.tagName));
-		this._status.isProcessing = true;
-		if (!this.isRecycling()) {
-			this._status.isRecycling =
-				(this.layoutManager.items.length + elements.length) >= this.options.count;
+		// adjacent appends of the same group are added at once
+		if (task.type === "append" && last && last.type === "append" &&
+			last.groupKey === task.groupKey && !signal && !last.layoutOptions.signal) {
+			const prev = last.layoutOptions;
+			const next = task.layoutOptions;
+
+			last.elements = last.elements.concat(task.elements);
+			last.layoutOptions = {
+				resolve: (prev.resolve || next.resolve) && (result => {
+					prev.resolve && prev.resolve(result);
+					next.resolve && next.resolve(result);
+				}),
+				reject: (prev.reject || next.reject) && (error => {
+					prev.reject && prev.reject(error);
+					next.reject && next.reject(error);
+				}),
+			};
+			return task.elements.length;
+		}
+		if (signal) {
+			task.onAbort = () => {
+				signal.removeEventListener("abort", task.onAbort);
+				queue.splice(queue.indexOf(task), 1);
+				task.layoutOptions.reject(utils.abortError("The layout is aborted"));
+			};
+			signal.addEventListener("abort", task.onAbort);
 		}
-		return elements;
+		queue.push(task);
+		return task.elements ? task.elements.length : 0;
 	}
 
-	// elements => [HTMLElement, HTMLElement, ...]
-	_insert(paramElements, groupKey, isAppend) {
-		if (this.isProcessing() || paramElements.length === 0) {
+	_dequeue() {
+		while (!this.isProcessing() && this._queue.length) {
+			const task = this._queue.shift();
+			const signal = task.layoutOptions.signal;
+
+			signal && signal.removeEventListener("abort", task.onAbort);
+			if (task.type === "remove") {
+				this._remove(task.target, task.options);
+				continue;
+			} else if (task.type === "layout") {
+				this._layout(task.isRelayout, undefined, task.layoutOptions);
+				continue;
+			} else if (task.type === "data") {
+				this._renderData(true, task.batch);
+				continue;
+			}
+			const items = LayoutManager.itemize(task.elements, task.groupKey);
+			const isAppend = task.type !== "prepend";
+			const count = task.type === "insert" ?
+				this._insertItemsAt(items, task.target, task.layoutOptions) :
+				this._insertItems(items, isAppend, task.layoutOptions);
+
+			// the target of the insertion can be removed while queued
+			!count && task.layoutOptions.resolve && task.layoutOptions.resolve(getEmptyResult(isAppend));
+		}
+	}
+
+	_insertItems(items, isAppend, layoutOptions) {
+		if (!items.length) {
 			return 0;
 		}
-		const elements = this._prepareElement(paramElements);
-		const cloneElements = elements.concat();
+		const cloneItems = items.concat();
 		const dummy = `${-this._status.clientHeight}px`;
+		const groupKey = items[0].groupKey;
+		const placeholders = isAppend && !items[0].isPlaceholder && groupKey != null ?
+			this.layoutManager.removePlaceholders(groupKey) : [];
 
-		elements.forEach(v => {
-			v.style.position = "absolute";
-			v.style.top = dummy;
+		this._status.isProcessing = true;
+		if (!this.isRecycling()) {
+			this._status.isRecycling =
+				(this.layoutManager.items.length + items.length) >= this.options.count;
+		}
+		items.forEach(v => {
+			v.el.style.position = "absolute";
+			v.el.style[this._style.startPos1] = dummy;
 		});
-		const removedCount = this._adjustRange(isAppend, cloneElements);
+		const {removedCount, croppedItems} = this._adjustRange(isAppend, cloneItems);
 
 		// prepare HTML
 		const docFragment = document.createDocumentFragment();
 
-		cloneElements.forEach(v => docFragment.appendChild(v));
+		cloneItems.forEach(v => docFragment.appendChild(v.el));
 		isAppend ? this.el.appendChild(docFragment) :
 			this.el.insertBefore(docFragment, this.el.firstChild);
-		this.layout(
+		this._layout(
 			false,
-			LayoutManager.itemize(cloneElements, groupKey),
-			{
+			cloneItems,
+			Object.assign({
 				isAppend,
 				removedCount,
-			}
+				croppedItems,
+				placeholders,
+			}, layoutOptions)
 		);
-		// console.info("remove count", removedCount, this.el.children.length, "+", elements.length, "||", cloneElements.length);
+		// console.info("remove count", removedCount, this.el.children.length, "+", items.length, "||", cloneItems.length);
+
+		return cloneItems.length;
+	}
+
+	// inserts items before the item at the index or the item of the element
+	_insertItemsAt(items, target, layoutOptions) {
+		const layoutItems = this.layoutManager.items;
+		let index = typeof target === "number" ?
+			Math.min(Math.max(target, 0), layoutItems.length) :
+			layoutItems.map(v => v.el).indexOf(target);
+
+		if (!items.length || index < 0) {
+			return 0;
+		}
+		const prevGroupKey = index > 0 ? layoutItems[index - 1].groupKey : null;
 
-		return cloneElements.length;
+		if (items[0].groupKey == null) {
+			items.forEach(v => {
+				v.groupKey = prevGroupKey;
+			});
+		} else if (prevGroupKey != null && prevGroupKey !== items[0].groupKey) {
+			// a group is not split to recycle the items of the group at once
+			while (index < layoutItems.length && layoutItems[index].groupKey === prevGroupKey) {
+				index++;
+			}
+		}
+		if (index === layoutItems.length) {
+			return this._insertItems(items, true, layoutOptions);
+		}
+		const cloneItems = items.concat();
+		const dummy = `${-this._status.clientHeight}px`;
+		const docFragment = document.createDocumentFragment();
+
+		this._status.isProcessing = true;
+		if (!this.isRecycling()) {
+			this._status.isRecycling =
+				(layoutItems.length + items.length) >= this.options.count;
+		}
+		items.forEach(v => {
+			v.el.style.position = "absolute";
+			v.el.style[this._style.startPos1] = dummy;
+		});
+		const prevCount = layoutItems.length;
+		// the card elements at the top are removed to keep the number of DOMs
+		const {removedCount, croppedItems} = this._adjustRange(true, cloneItems, index);
+
+		index -= prevCount - this.layoutManager.items.length;
+		cloneItems.forEach(v => docFragment.appendChild(v.el));
+		// the order of elements is the order of items
+		this.el.insertBefore(docFragment, this.layoutManager.items[index].el);
+		this._layout(
+			false,
+			cloneItems,
+			Object.assign({
+				isAppend: true,
+				removedCount,
+				croppedItems,
+				index,
+			}, layoutOptions)
+		);
+		return cloneItems.length;
 	}
 
 	_waitResource(isRelayout, addItems, options) {
-		const needCheck = ImageLoaded.checkImageLoaded(this.el);
-		const callback = function() {
-			this._onLayoutComplete(isRelayout, addItems, options);
-		}.bind(this);
+		const signal = options.signal;
+		const waitOptions = {
+			// iframes are waited for only when card elements are added
+			iframe: !isRelayout,
+			timeout: this.options.resourceTimeout,
+			error: (image, isTimeout) => this._onImageError(image, isTimeout, addItems),
+		};
+		let cancel;
+		let onAbort;
+		// the wait of this layout, which is cancelled when the grid is cleared
+		const wait = () => {
+			signal && signal.removeEventListener("abort", onAbort);
+			cancel();
+			options.reject && options.reject(utils.abortError("The layout is aborted"));
+		};
+		// returns false if the wait is already finished or cancelled
+		const finish = () => {
+			const index = this._waits.indexOf(wait);
+
+			signal && signal.removeEventListener("abort", onAbort);
+			index !== -1 && this._waits.splice(index, 1);
+			return index !== -1;
+		};
 
-		if (needCheck.length > 0) {
-			ImageLoaded.waitImageLoaded(needCheck, callback);
+		onAbort = () => {
+			finish();
+			cancel();
+			this._abortLayout(addItems, options);
+		};
+		const callback = () => {
+			finish() && this._onLayoutComplete(isRelayout, addItems, options);
+		};
+
+		this._waits.push(wait);
+		if (this.options.isProgressive && addItems && options.isAppend && options.index == null) {
+			cancel = this._waitEachItem(addItems, options, waitOptions, () => {
+				finish() && this._postLayout(isRelayout, addItems, options);
+			});
 		} else {
-			// convert to async
-			setTimeout(() => {
-				callback && callback();
-			}, 0);
+			// only images in added items whose sizes are not known are checked
+			cancel = ImageLoaded.wait(
+				(addItems || this.layoutManager.items)
+					.filter(v => !this.layoutManager.getOrgSize(v))
+					.map(v => v.el),
+				callback,
+				waitOptions
+			);
 		}
+		signal && signal.addEventListener("abort", onAbort);
+	}
+
+	// arranges each item as soon as its own images are ready
+	_waitEachItem(addItems, options, waitOptions, callback) {
+		const byOrder = (p, c) => addItems.indexOf(p) - addItems.indexOf(c);
+		let readyItems = [];
+		let arrangedItems = [];
+		let count = addItems.length;
+		let timer = null;
+		const flush = () => {
+			const items = readyItems.sort(byOrder);
+			const placeholders = items.map(v => options.placeholders[addItems.indexOf(v)]);
+
+			timer = null;
+			readyItems = [];
+			count -= items.length;
+			if (!count) {
+				// the placeholders which are not replaced disappear at last
+				placeholders.push(...options.placeholders.slice(addItems.length));
+			}
+			this._layoutItems(false, items, Object.assign({}, options, {placeholders}));
+			// the items are kept in the order of their elements, not in the order in which they are ready
+			arrangedItems = arrangedItems.concat(items).sort(byOrder);
+			this.layoutManager.reorderItems(arrangedItems);
+			if (count) {
+				this._resizeContainerSize();
+				this._status.topElement = this.getTopElement();
+				this._status.bottomElement = this.getBottomElement();
+			} else {
+				callback();
+			}
+		};
+		const cancels = addItems.map(item => {
+			const el = this.layoutManager.getOrgSize(item) ? [] : item.el;
+
+			return ImageLoaded.wait(el, () => {
+				readyItems.push(item);
+				timer = timer || setTimeout(flush, 0);
+			}, waitOptions);
+		});
+
+		return () => {
+			clearTimeout(timer);
+			cancels.forEach(cancel => cancel());
+		};
 	}
 
-	_adjustRange(isTop, elements) {
+	_onImageError(image, isTimeout, addItems) {
+		const item = (addItems || []).concat(this.layoutManager.items)
+			.filter(v => v.el.contains(image))[0];
+
+		/**
+		 * This event is fired when a resource in a card element fails to load or is not loaded within the time of the resourceTimeout option. The resource is an image, a video, an iframe or an element with a background image.
+		 * @ko 카드 엘리먼트의 리소스 로딩이 실패하거나 resourceTimeout 옵션의 시간 안에 로딩되지 않았을 때 발생하는 이벤트. 리소스는 이미지, 비디오, iframe 또는 배경 이미지가 있는 엘리먼트다
+		 * @event eg.InfiniteGrid#imageError
+		 *
+		 * @param {Object} param The object of data to be sent to an event <ko>이벤트에 전달되는 데이터 객체</ko>
+		 * @param {HTMLElement} param.target The element of the resource which fails to load<ko>로딩에 실패한 리소스의 엘리먼트</ko>
+		 * @param {HTMLElement} param.element The card element which contains the resource<ko>리소스를 포함한 카드 엘리먼트</ko>
+		 * @param {Object} param.item The item of the card element<ko>카드 엘리먼트의 아이템</ko>
+		 * @param {Number|String} param.groupKey The group key of the card element<ko>카드 엘리먼트의 그룹 키</ko>
+		 * @param {Boolean} param.isTimeout Indicates whether the resource is not loaded within the time of the resourceTimeout option<ko>리소스가 resourceTimeout 옵션의 시간 안에 로딩되지 않았는지 여부</ko>
+		 * @example
+grid.on("imageError", function(e) {
+	e.target.src = "fallback.png";
+});
+		 */
+		this.trigger("imageError", {
+			target: image,
+			element: item ? item.el : null,
+			item: item || null,
+			groupKey: item ? item.groupKey : null,
+			isTimeout,
+		});
+	}
+
+	// maxCount is the maximum number of card elements removed from the maintained ones.
+	// It returns the number of removed card elements and the maintained items removed with their elements.
+	_adjustRange(isTop, items, maxCount = Infinity) {
 		let removedCount = 0;
 
 		if (!this.isRecycling()) {
-			return removedCount;
+			return {removedCount, croppedItems: []};
 		}
 
-		// trim $elements
-		if (this.options.count <= elements.length) {
-			removedCount += isTop ?
-				elements.splice(0, elements.length - this.options.count).length :
-				elements.splice(this.options.count).length;
+		// trim items
+		if (this.options.count <= items.length) {
+			const trimmed = isTop ?
+				items.splice(0, items.length - this.options.count) :
+				items.splice(this.options.count);
+
+			this._detachData(trimmed);
+			removedCount += trimmed.length;
 		}
 
-		const diff = this.layoutManager.items.length + elements.length - this.options.count;
+		const diff = this.layoutManager.items.length + items.length - this.options.count;
 		let idx;
 
-		if (diff <= 0 || (idx = this.layoutManager.getDelimiterIndex(isTop, diff)) < 0) {
-			return removedCount;
+		if (diff <= 0 || (idx = this.layoutManager.getDelimiterIndex(isTop, diff)) < 0 ||
+			(isTop ? idx : this.layoutManager.items.length - idx) > maxCount) {
+			return {removedCount, croppedItems: []};
 		}
 
 		const targets = this.layoutManager.adjustItems(isTop, idx);
+		// the elements of records are detached, so they are kept to be restored
+		const croppedItems = targets.map(v => ({item: v, el: v.el}));
 
-		// @todo improve performance
-		targets.forEach(v => {
-			idx = elements.indexOf(v.el);
-			if (idx !== -1) {
-				elements.splice(idx, 1);
-			} else {
-				v.el.parentNode.removeChild(v.el);
-			}
-		});
+		targets.forEach(v => v.el.parentNode.removeChild(v.el));
+		this._detachData(targets);
 		removedCount += targets.length;
-		return removedCount;
+		return {removedCount, croppedItems};
 	}
 
 	/**
@@ -426,11 +1207,51 @@ extends Mixin(Component).with(EventHandler) {
 	_fitItems() {
 		const y = this.layoutManager.fit();
 
-		(y !== 0) && this._resizeContainerHeight();
+		(y !== 0) && this._resizeContainerSize();
 		return y;
 	}
 
+	_observeItems() {
+		if (!this.options.useResizeObserver) {
+			return;
+		}
+		if (window.ResizeObserver) {
+			this._observer = this._observer || new window.ResizeObserver(entries => {
+				this._onItemResize(entries.map(v => v.target));
+			});
+			const observed = this._observedElements;
+			const elements = this.layoutManager.items.map(v => v.el);
+
+			// only the elements of the items which are added or removed are observed or unobserved
+			observed.forEach(el => elements.indexOf(el) === -1 && this._observer.unobserve(el));
+			elements.forEach(el => observed.indexOf(el) === -1 && this._observer.observe(el));
+			this._observedElements = elements;
+		} else if (!this._timer.polling) {
+			this._timer.polling = setInterval(() => {
+				this._onItemResize(this.layoutManager.items.map(v => v.el));
+			}, RESIZE_POLLING_INTERVAL);
+		}
+	}
+
+	_onItemResize(elements) {
+		// the sizes are checked again after the layout is arranged
+		if (this.isProcessing() || !this.layoutManager.reflow(elements).length) {
+			return;
+		}
+		this._resizeContainerSize();
+		this._status.topElement = this.getTopElement();
+		this._status.bottomElement = this.getBottomElement();
+		this._observeEdges();
+		this._checkVisibleItems();
+	}
+
 	_reset() {
+		// the layouts waiting for resources are cancelled
+		(this._waits || []).forEach(wait => wait());
+		this._waits = [];
+		this._timer && clearInterval(this._timer.polling);
+		this._observer && this._observer.disconnect();
+		this._observedElements = [];
 		this._status = {
 			isProcessing: false,
 			isRecycling: false,
@@ -443,19 +1264,103 @@ extends Mixin(Component).with(EventHandler) {
 			resize: null,
 			doubleCheck: null,
 			doubleCheckCount: RETRY,
+			polling: null,
 		};
-		this.layoutManager.resetCols();
+		this._data = [];
+		this._visibleItems = [];
+		this._scrollTarget = null;
+		// queued operations are cancelled
+		(this._queue || []).forEach(task => {
+			const {signal, reject} = task.layoutOptions;
+
+			signal && signal.removeEventListener("abort", task.onAbort);
+			reject && reject(utils.abortError("The layout is aborted"));
+		});
+		this._queue = [];
 		this.layoutManager.clear();
 	}
 
 	/**
-	 * Removes a card element on a grid layout.
+	 * Removes card elements on a grid layout.
 	 * @ko 그리드 레이아웃의 카드 엘리먼트를 삭제한다.
-	 * @param {HTMLElement} Card element to be removed <ko>삭제될 카드 엘리먼트</ko>
-	 * @return {Object}  Removed card element <ko>삭제된 카드 엘리먼트 정보</ko>
+	 * @param {HTMLElement|Array|jQuery|Number|String} target The card element or the array of card elements to be removed, or the group key of card elements to be removed <ko>삭제할 카드 엘리먼트나 카드 엘리먼트의 배열, 또는 삭제할 카드 엘리먼트의 그룹 키</ko>
+	 * @param {Object} [options] The options of removing <ko>삭제 옵션</ko>
+	 * @param {Boolean} [options.relayout=false] Indicates whether the card elements after the removed card elements are arranged again to fill the space and the size of the base element is updated. If it is false, the space remains until the layout is arranged again. <ko>삭제된 카드 엘리먼트 뒤에 있는 카드 엘리먼트를 다시 배치해 빈 공간을 채우고 기준 엘리먼트의 크기를 갱신할지 여부. 'false'이면 레이아웃을 다시 배치할 때까지 빈 공간이 남는다</ko>
+	 * @return {Object|Array|null} Removed card element, or the array of removed card elements if an array of card elements or a group key is given. If nothing is removed with a card element, null is returned. If the isProcessing() method returns true, the card elements are removed after the queued operations and null is returned. <ko>삭제된 카드 엘리먼트 정보. 카드 엘리먼트의 배열이나 그룹 키가 주어지면 삭제된 카드 엘리먼트 정보의 배열. 카드 엘리먼트로 삭제된 것이 없으면 null이 반환된다. isProcessing() 메서드의 반환값이 'true'이면 대기열의 작업 후에 카드 엘리먼트가 삭제되고 null이 반환된다</ko>
+	 * @example
+// removes the card element and fills the space
+grid.remove(element, {relayout: true});
+// removes the card elements of the group
+grid.remove(groupKey, {relayout: true});
 	 */
-	remove(element) {
-		return this.layoutManager.removeItem(element);
+	remove(target, options = {}) {
+		if (this.isProcessing() || this._queue.length) {
+			this._enqueue({
+				type: "remove",
+				target,
+				options,
+				layoutOptions: {},
+			});
+			return null;
+		}
+		return this._remove(target, options);
+	}
+
+	_remove(target, options) {
+		const layoutItems = this.layoutManager.items;
+		const isGroup = typeof target === "number" || typeof target === "string";
+		let items;
+
+		if (isGroup) {
+			items = layoutItems.filter(v => v.groupKey === target);
+		} else {
+			const elements = target == null ? [] : [].concat(utils.$(target, true));
+
+			items = layoutItems.filter(v => elements.indexOf(v.el) !== -1);
+		}
+		const removedItems = items.map(v => Object.assign({}, v));
+		const prevItems = options.relayout && this.options.transitionDuration > 0 &&
+			this.layoutManager.items
+				.filter(v => items.indexOf(v) === -1)
+				.map(v => ({item: v, position: Object.assign({}, v.position)}));
+
+		if (items.length) {
+			if (options.relayout) {
+				items.forEach(v => {
+					v.el.parentNode && v.el.parentNode.removeChild(v.el);
+				});
+				this.layoutManager.removeItems(items, true);
+				prevItems && this._animate(prevItems, [], true);
+				this._resizeContainerSize();
+			} else {
+				// the space remains
+				items.forEach(v => this.layoutManager.removeItem(v.el));
+			}
+			this._removeData(items);
+			this._observeItems();
+			this._status.topElement = this.getTopElement();
+			this._status.bottomElement = this.getBottomElement();
+			this._observeEdges();
+			this._checkVisibleItems();
+
+			/**
+			 * This event is fired when card elements are removed with the remove() method.
+			 * @ko remove() 메서드로 카드 엘리먼트가 삭제됐을 때 발생하는 이벤트
+			 * @event eg.InfiniteGrid#remove
+			 *
+			 * @param {Object} param The object of data to be sent to an event <ko>이벤트에 전달되는 데이터 객체</ko>
+			 * @param {Array} param.target Removed card elements <ko>삭제된 카드 엘리먼트들</ko>
+			 * @param {Boolean} param.isRelayout Indicates whether the card elements after the removed card elements are arranged again <ko>삭제된 카드 엘리먼트 뒤에 있는 카드 엘리먼트를 다시 배치했는지 여부</ko>
+			 */
+			this.trigger("remove", {
+				target: removedItems,
+				isRelayout: !!options.relayout,
+			});
+		}
+		// an element is removed alone
+		const isAlone = !isGroup && target && target.nodeType;
+
+		return isAlone ? (removedItems[0] || null) : removedItems;
 	}
 
 	/**
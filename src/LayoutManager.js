@@ -1,4 +1,36 @@
+import {window} from "./browser";
 import {utils} from "./utils";
+import {LAYOUT_TYPE, DIRECTION} from "./consts";
+import MasonryLayout from "./layouts/MasonryLayout";
+import JustifiedLayout from "./layouts/JustifiedLayout";
+
+// LayoutManager keeps items and their elements, and delegates the placement of items to a layout.
+// A layout is created with the options of InfiniteGrid and implements the following methods.
+// - measure(containerWidth, items): measures the layout and resets it to start at 0.
+//   containerWidth is the height of the container in horizontal direction.
+// - append(items): sets item.position(and item.size) of items placed after the end of the layout.
+//   item.size is null when the item needs to be measured.
+//   item.placeholder is the placeholder item which the item replaces, if any.
+// - prepend(items): sets item.position of items placed before the start of the layout.
+// - relayout(items, index): places all items again from the start of the layout.
+//   If index is given, items are inserted or removed at the index and only the items from the index
+//   (or the start of its row) are placed again.
+// - sync(items): updates the start and end of the layout after items are removed or moved.
+// - reflow(items, resizedItems): (optional) measures resizedItems again and moves the items affected by them.
+// - getLogicalSize(): returns the size of the layout in the direction of the scroll.
+// - getStatus(), setStatus(status): serializes and restores the state of the layout.
+// - isNeededResize(containerWidth): (optional) checks whether a relayout is needed for the new size of the container.
+// If the layout changes the size of items, its resizeItems property should be true.
+// item.orgSize is the intrinsic size of the item if it is known before its images are loaded.
+// item.isImageSize is true if item.orgSize is the size of the image in the card element, not of the card element itself.
+
+// returns the size of "[prefix]width" and "[prefix]height" attributes
+function getSizeAttributes(el, prefix) {
+	const width = parseFloat(el.getAttribute(`${prefix}width`));
+	const height = parseFloat(el.getAttribute(`${prefix}height`));
+
+	return width > 0 && height > 0 ? {width, height} : null;
+}
 
 export default class LayoutManager {
 	static itemize(elements, groupKey, isAppend) {
@@ -11,37 +43,113 @@ export default class LayoutManager {
 			groupKey: typeof groupKey === "undefined" ? null : groupKey,
 		}));
 	}
+	static register(name, Layout) {
+		LayoutManager.layouts[name] = Layout;
+	}
 	constructor(el, options) {
+		const layoutType = options.layoutType;
+		const Layout = typeof layoutType === "function" ?
+			layoutType : LayoutManager.layouts[layoutType || LAYOUT_TYPE.MASONRY];
+
+		if (!Layout) {
+			throw new Error(`"${layoutType}" is not a registered layout type`);
+		}
 		this.options = options;
+		this.isRTL = typeof options.isRTL === "boolean" ? options.isRTL : utils.isRTL(el);
+		this._style = utils.getStyleNames(options.direction, this.isRTL);
+		this.layout = new Layout(options);
 		this.size = {
-			columnWidth: null,
 			containerWidth: null,
-			equalItemSize: null,
 		};
 		this.el = el;
 		this.el.style.position = "relative";
 		this.clear();
-		this.prependCols = [];
-		this.appendCols = [];
 	}
 	appendItems(items) {
 		this.items = this.items.concat(items);
 	}
+	insertItems(items, index) {
+		this.items = this.items.slice(0, index).concat(items, this.items.slice(index));
+	}
 	prependItems(items) {
 		// insert items (when prepending)
 		this.items = items.concat(this.items);
-		const y = this.getTopPositonY();
+		const y = this.getTopPosition();
 
 		if (y !== 0) {
-			this.items.forEach(v => {
-				v.position.y -= y;
-			});
-			this.syncCols(false);	// for prepending
-			this.syncCols(true);	// for appending
+			this.shiftItems(y);
+			this.layout.sync(this.items);
 			return this.items;
 		}
 		return items;
 	}
+	// removes placeholder items of the group from the layout, but their elements remain until they are replaced
+	removePlaceholders(groupKey) {
+		const placeholders = this.items.filter(v => v.isPlaceholder && v.groupKey === groupKey);
+
+		if (placeholders.length) {
+			this.items = this.items.filter(v => placeholders.indexOf(v) === -1);
+			this.layout.sync(this.items);
+		}
+		return placeholders;
+	}
+	// The intrinsic size of an item is known from the itemSize option, data-width and data-height attributes of the card element,
+	// or data-width and data-height(width and height) attributes of the image in the card element.
+	getOrgSize(item) {
+		if (!item.orgSize) {
+			const el = item.el;
+			const image = el.querySelector("img");
+
+			item.orgSize = (this.options.itemSize && this.options.itemSize(el, item)) ||
+				getSizeAttributes(el, "data-") ||
+				null;
+			if (!item.orgSize && image) {
+				item.orgSize = getSizeAttributes(image, "data-") || getSizeAttributes(image, "");
+				item.isImageSize = !!item.orgSize;
+			}
+		}
+		return item.orgSize;
+	}
+	// re-measures items of elements whose sizes are changed and moves the items affected by them
+	reflow(elements) {
+		if (!this.layout.reflow) {
+			return [];
+		}
+		const resizedItems = this.items.filter(v => v.size && elements.indexOf(v.el) !== -1 &&
+			(utils.innerWidth(v.el) !== v.size.width || utils.innerHeight(v.el) !== v.size.height));
+
+		if (resizedItems.length) {
+			this.layout.reflow(this.items, resizedItems);
+			this.layout.sync(this.items);
+			this.render(this.items);
+		}
+		return resizedItems;
+	}
+	// If isRelayout is true, the items after the removed items are placed again to fill the space.
+	removeItems(items, isRelayout) {
+		const indexes = items.map(v => this.items.indexOf(v)).filter(i => i >= 0);
+
+		this.items = this.items.filter(v => items.indexOf(v) === -1);
+		if (isRelayout && indexes.length) {
+			this.layout.relayout(this.items, Math.min(...indexes));
+			this.render(this.items);
+		}
+		this.layout.sync(this.items);
+	}
+	// replaces the items at the end with the same items in the given order
+	reorderItems(items) {
+		this.items = this.items.slice(0, this.items.length - items.length).concat(items);
+	}
+	// puts back items removed to keep the number of DOMs when the card elements added instead are not added
+	restoreCroppedItems(items, isTop) {
+		this.items = isTop ? items.concat(this.items) : this.items.concat(items);
+		this.layout.sync(this.items);
+	}
+	// puts back placeholder items when the card elements replacing them are not added
+	restorePlaceholders(placeholders) {
+		this.appendItems(placeholders);
+		this.layout.sync(this.items);
+	}
 	removeItem(element) {
 		let item = null;
 		let idx = -1;
@@ -62,35 +170,92 @@ export default class LayoutManager {
 		}
 		return item;
 	}
-	prepareLayout(isRelayout, addItems, isAppend) {
+	prepareLayout(isRelayout, addItems, isAppend, index) {
 		const isInit = !this.items.length;
 
+		addItems && addItems.forEach(v => this.getOrgSize(v));
+
 		// insert items (when appending)
 		if (addItems && isAppend) {
-			this.appendItems(addItems);
+			index == null ? this.appendItems(addItems) : this.insertItems(addItems, index);
 		}
 		if (isInit && addItems) {
 			addItems.forEach(v => {
 				v.el.style.position = "absolute";
 			});
 		}
+		if (isRelayout) {
+			// the positions of removed items are no longer valid
+			this._cache = {};
+
+			// measure items again
+			(addItems || this.items).forEach(v => {
+				v.size = null;
+			});
+		}
 		if (isInit || isRelayout) {
-			this.resetCols(this.measureColumns());
-		} else if (!addItems) {
-			this.appendCols = [...this.prependCols];
+			this.measure();
 		}
 	}
 	layoutItems(isRelayout, addItems, options) {
-		this.prepareLayout(isRelayout, addItems, options.isAppend);
+		this.prepareLayout(isRelayout, addItems, options.isAppend, options.index);
 		let items = addItems || this.items;
 
-		items.forEach(v => {
-			v.position = this.getItemPosition(isRelayout, v, options.isAppend);
-		});
-		if (addItems && !options.isAppend) {
+		if (!addItems) {
+			this.layout.relayout(this.items);
+		} else if (options.index != null) {
+			// the items after the inserted items are placed again
+			this.layout.relayout(this.items, options.index);
+			items = this.items;
+		} else if (options.isAppend) {
+			const placeholders = options.placeholders || [];
+
+			addItems.forEach((v, i) => {
+				placeholders[i] && (v.placeholder = placeholders[i]);
+			});
+			this.layout.append(addItems);
+			addItems.forEach(v => {
+				delete v.placeholder;
+			});
+			this.restoreItems(addItems) && this.layout.sync(this.items);
+		} else {
+			const {pos1, pos2} = this._style;
+
+			this.layout.prepend(addItems);
+			const isRestored = this.restoreItems(addItems);
+
 			// insert items (when prepending)
-			items = this.prependItems(addItems.sort((p, c) => p.position.y - c.position.y));
+			items = this.prependItems(addItems.sort((p, c) =>
+				(p.position[pos1] - c.position[pos1]) || (p.position[pos2] - c.position[pos2])));
+			isRestored && this.layout.sync(this.items);
+		}
+		this.render(items);
+	}
+	render(items) {
+		if (!this.options.useTransform) {
+			this.renderItems(items);
+			return;
+		}
+
+		// batch all writes into a single animation frame
+		this._renderQueue = this._renderQueue.concat(items);
+		if (!this._renderTimer) {
+			this._renderTimer = utils.requestAnimationFrame(() => {
+				const queue = this._renderQueue;
+
+				this._renderQueue = [];
+				this._renderTimer = null;
+				this.renderItems(queue);
+			});
 		}
+	}
+	renderItems(items) {
+		const {pos1, pos2, startPos1, startPos2} = this._style;
+		const resizeItems = this.layout.resizeItems;
+		const useTransform = this.options.useTransform;
+
+		// columns are placed from the right in RTL
+		const sign2 = startPos2 === "right" ? -1 : 1;
 
 		// for performance
 		let style;
@@ -98,128 +263,138 @@ export default class LayoutManager {
 		items.forEach(v => {
 			if (v.el) {
 				style = v.el.style;
-				style.left = `${v.position.x}px`;
-				style.top = `${v.position.y}px`;
+				if (useTransform) {
+					const pos = {
+						[pos1]: v.position[pos1],
+						[pos2]: v.position[pos2] * sign2,
+					};
+
+					style[startPos1] = "0px";
+					style[startPos2] = "0px";
+					style.transform = `translate3d(${pos.x}px, ${pos.y}px, 0)`;
+				} else {
+					style[startPos1] = `${v.position[pos1]}px`;
+					style[startPos2] = `${v.position[pos2]}px`;
+				}
+				if (resizeItems) {
+					style.width = `${v.size.width}px`;
+					style.height = `${v.size.height}px`;
+				}
 			}
 		});
 	}
-	resetCols(count) {
-		const arr = [];
-		let tmpCount = count || this.appendCols.length || 0;
+	// moves items from their previous positions and fades in added items (FLIP)
+	animate(prevItems, addItems, isAppend, callback) {
+		const {transitionDuration, transitionEasing, useTransform} = this.options;
+		const {pos1, startPos2} = this._style;
+		const transition = `${transitionDuration}ms ${transitionEasing}`;
+		const sign2 = startPos2 === "right" ? -1 : 1;
 
-		while (tmpCount--) {
-			arr.push(0);
-		}
-		this.appendCols = arr.concat();
-		this.prependCols = arr.concat();
-	}
-	clear() {
-		this.items = [];
-	}
-	getItemPosition(isRelayout, item, isAppend) {
-		if (!item || !item.el) {
-			return {
-				x: 0,
-				y: 0,
+		// all items are moved by prepending, but the scroll position compensates it
+		const shift = !isAppend && prevItems.length ?
+			prevItems[0].item.position[pos1] - prevItems[0].position[pos1] : 0;
+		const movedItems = prevItems.filter(v => {
+			const position = v.item.position;
+
+			v.delta = {
+				x: v.position.x - position.x,
+				y: v.position.y - position.y,
 			};
-		}
+			v.delta[pos1] += shift;
+			return v.item.el && (v.delta.x || v.delta.y);
+		}).map(v => {
+			const style = v.item.el.style;
 
-		if (isRelayout || !item.size) {
-			item.size = this.getItemSize(item.el);
-		}
-		const cols = isAppend ? this.appendCols : this.prependCols;
-		const y = Math[isAppend ? "min" : "max"](...cols);
-		let shortColIndex;
+			// invert
+			if (useTransform) {
+				style.transition = `transform ${transition}`;
+			} else {
+				style.transition = "none";
+				style.transform = `translate(${v.delta.x * sign2}px, ${v.delta.y}px)`;
+			}
+			return v.item;
+		});
+		const enterItems = (addItems || []).filter(v => v.el);
 
-		if (isAppend) {
-			shortColIndex = cols.indexOf(y);
-		} else {
-			let i = cols.length;
+		enterItems.forEach(v => {
+			v.el.style.transition = "none";
+			v.el.style.opacity = "0";
+		});
+		this._transitionTimer && clearTimeout(this._transitionTimer);
 
-			while (i-- >= 0) {
-				if (cols[i] === y) {
-					shortColIndex = i;
-					break;
+		// play after items are rendered
+		utils.requestAnimationFrame(() => {
+			// force reflow
+			this.el.getBoundingClientRect();
+			movedItems.forEach(v => {
+				if (!useTransform) {
+					v.el.style.transition = `transform ${transition}`;
+					v.el.style.transform = "";
 				}
-			}
-		}
-		cols[shortColIndex] = y + (isAppend ? item.size.height : -item.size.height);
-
-		return {
-			x: this.size.columnWidth * shortColIndex,
-			y: isAppend ? y : y - item.size.height,
-		};
+			});
+			enterItems.forEach(v => {
+				v.el.style.transition = `opacity ${transition}`;
+				v.el.style.opacity = "";
+			});
+			this._transitionTimer = setTimeout(() => {
+				this._transitionTimer = null;
+				movedItems.concat(enterItems).forEach(v => {
+					v.el.style.transition = "";
+				});
+				callback && callback(movedItems, enterItems);
+			}, transitionDuration);
+		});
+	}
+	clear() {
+		this.items = [];
+		this._cache = {};
+		this._renderTimer && utils.cancelAnimationFrame(this._renderTimer);
+		this._renderTimer = null;
+		this._renderQueue = [];
+		this._transitionTimer && clearTimeout(this._transitionTimer);
+		this._transitionTimer = null;
+		this.layout.sync(this.items);
 	}
 	getGroupKeys() {
 		return this.items.map(v => v.groupKey);
 	}
-	syncCols(isBottom) {
-		if (!this.items.length) {
-			return;
-		}
-		const items = this.getColItems(isBottom);
-		const col = isBottom ? this.appendCols : this.prependCols;
-		const len = col.length;
-
-		for (let i = 0; i < len; i++) {
-			col[i] = items[i].position.y + (isBottom ? items[i].size.height : 0);
-		}
-	}
-
-	getTopPositonY() {
+	getTopPosition() {
 		const item = this.getTopItem();
 
-		return item ? item.position.y : 0;
+		return item ? item.position[this._style.pos1] : 0;
 	}
+	// if the positions of items are same, it returns the first left item
 	getTopItem() {
-		let item = null;
+		const {pos1, pos2} = this._style;
 		let min = Infinity;
+		let item = null;
 
-		this.getColItems(false).forEach(v => {
-			if (v && v.position.y < min) {
-				min = v.position.y;
+		this.items.forEach(v => {
+			const pos = v.position[pos1];
+
+			if (pos < min || (pos === min && v.position[pos2] < item.position[pos2])) {
+				min = pos;
 				item = v;
 			}
 		});
 		return item;
 	}
+	// if the positions of items are same, it returns the first right item
 	getBottomItem() {
+		const {pos1, pos2, size1} = this._style;
 		let max = -Infinity;
 		let item = null;
-		let pos;
 
-		this.getColItems(true).forEach(v => {
-			pos = v ? v.position.y + v.size.height : 0;
-			if (pos >= max) {
+		this.items.forEach(v => {
+			const pos = v.position[pos1] + v.size[size1];
+
+			if (pos > max || (pos === max && v.position[pos2] >= item.position[pos2])) {
 				max = pos;
 				item = v;
 			}
 		});
 		return item;
 	}
-	getColIdx(item) {
-		return parseInt(item.position.x / parseInt(this.size.columnWidth, 10), 10);
-	}
-	getColItems(isBottom) {
-		const len = this.appendCols.length;
-		const colItems = new Array(len);
-		let item;
-		let idx;
-		let count = 0;
-		let i = isBottom ? this.items.length - 1 : 0;
-
-		while ((item = this.items[i])) {
-			idx = this.getColIdx(item);
-			if (!colItems[idx]) {
-				colItems[idx] = item;
-				if (++count === len) {
-					return colItems;
-				}
-			}
-			i += isBottom ? -1 : 1;
-		}
-		return colItems;
-	}
 	// fit size
 	fit() {
 		// for caching
@@ -228,22 +403,37 @@ export default class LayoutManager {
 			return false;
 		}
 
-		const y = this.getTopPositonY();
+		const y = this.getTopPosition();
 
 		if (y !== 0) {
 			// need to fit
-			this.items.forEach(v => {
-				v.position.y -= y;
-				v.el.style.top = `${v.position.y}px`;
-			});
-			this.syncCols(false);	// for prepending
-			this.syncCols(true);	// for appending
+			this.shiftItems(y);
+			this.render(this.items);
+			this.layout.sync(this.items);
 		}
 		return y;
 	}
 
-	getLogicalHeight() {
-		return Math.max(...this.appendCols);
+	getLogicalSize() {
+		return this.layout.getLogicalSize();
+	}
+	// returns the items overlapping the area from start to end with the ratio of their visible size
+	getVisibleItems(start, end) {
+		const {pos1, size1} = this._style;
+
+		return this.items
+			.filter(v => !v.isPlaceholder)
+			.map(item => {
+				const pos = item.position[pos1];
+				const size = item.size[size1];
+				const overlap = Math.min(end, pos + size) - Math.max(start, pos);
+
+				return {
+					item,
+					ratio: size > 0 ? Math.max(overlap, 0) / size : +(overlap >= 0),
+				};
+			})
+			.filter(v => v.ratio > 0);
 	}
 
 	getDelimiterIndex(isTop, removeCount) {
@@ -284,61 +474,85 @@ export default class LayoutManager {
 
 		if (isTop) {
 			targets = this.items.splice(0, idx);
-			this.syncCols(false);	// for prepending
 		} else {
 			targets = idx === this.items.length ?
 				this.items.splice(0) :
 				this.items.splice(idx, this.items.length - idx);
-			this.syncCols(true);	// for appending;
 		}
+		this.cacheItems(targets);
+		this.layout.sync(this.items);
 		return targets;
 	}
-	measureColumns() {
-		this.el.style.width = null;
-		this.size.containerWidth = utils.innerWidth(this.el);
-		this.size.columnWidth = this.getColumnWidth() || this.size.containerWidth;
-		let cols = this.size.containerWidth / this.size.columnWidth;
-		const excess = this.size.columnWidth - this.size.containerWidth % this.size.columnWidth;
-
-		// if overshoot is less than a pixel, round up, otherwise floor it
-		cols = Math.max(Math[excess && excess <= 1 ? "round" : "floor"](cols), 1);
-		return cols || 0;
-	}
-	getItemSize(el) {
-		return this.size.equalItemSize || {
-			width: utils.innerWidth(el),
-			height: utils.innerHeight(el),
-		};
-	}
-	getColumnWidth() {
-		let width = 0;
-		const el = this.items[0] && this.items[0].el;
+	// keeps the geometry of removed items by group key to place them again at the same positions
+	cacheItems(items) {
+		// in the order of elements, which is the order in which they were added
+		const sorted = items.filter(v => !v.isPlaceholder).sort((p, c) =>
+			(p.el.compareDocumentPosition(c.el) & window.Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
 
-		if (el) {
-			width = utils.innerWidth(el);
-			if (this.options.isEqualSize) {
-				this.size.equalItemSize = {
-					width,
-					height: utils.innerHeight(el),
-				};
+		sorted.forEach(v => {
+			if (v.groupKey != null) {
+				this._cache[v.groupKey] = [];
 			}
+		});
+		sorted.forEach(v => {
+			v.groupKey != null && v.size && this._cache[v.groupKey].push({
+				position: Object.assign({}, v.position),
+				size: Object.assign({}, v.size),
+			});
+		});
+	}
+	// places items at the cached positions if the group of them is added again with the same sizes
+	restoreItems(items) {
+		const groupKey = items[0].groupKey;
+		const cache = groupKey != null && this._cache[groupKey];
+
+		if (!cache || cache.length !== items.length ||
+			items.some((v, i) => v.groupKey !== groupKey || !v.size ||
+				v.size.width !== cache[i].size.width || v.size.height !== cache[i].size.height)) {
+			return false;
 		}
-		return width;
+		items.forEach((v, i) => {
+			v.position = Object.assign({}, cache[i].position);
+		});
+		delete this._cache[groupKey];
+		return true;
+	}
+	shiftItems(y) {
+		const pos1 = this._style.pos1;
+		const shift = v => {
+			v.position[pos1] -= y;
+		};
+
+		this.items.forEach(shift);
+		Object.keys(this._cache).forEach(groupKey => this._cache[groupKey].forEach(shift));
+	}
+	measure() {
+		// in horizontal direction, the width is the size of the layout which keeps the scroll position
+		this.options.direction !== DIRECTION.HORIZONTAL && (this.el.style.width = null);
+
+		// in horizontal direction, containerWidth is measured along the y axis
+		this.size.containerWidth = utils[this._style.innerSize2](this.el);
+		this.layout.measure(this.size.containerWidth, this.items);
 	}
 	isNeededResize() {
-		return utils.innerWidth(this.el) !== this.size.containerWidth;
+		const containerWidth = utils[this._style.innerSize2](this.el);
+
+		return containerWidth !== this.size.containerWidth &&
+			(!this.layout.isNeededResize || this.layout.isNeededResize(containerWidth));
 	}
 	getStatus() {
 		const data = {};
 
 		for (const p in this) {
 			if (Object.prototype.hasOwnProperty.call(this, p) &&
+				["layout", "_renderQueue", "_renderTimer", "_transitionTimer"].indexOf(p) === -1 &&
 				typeof this[p] !== "function" && !(this[p] instanceof Element)) {
 				data[p] = this[p];
 			}
 		}
 		return {
 			prop: data,
+			layout: this.layout.getStatus(),
 			items: this.items.map(v => {
 				const clone = Object.assign({}, v);
 
@@ -356,6 +570,12 @@ export default class LayoutManager {
 			status.items[i].el = v;
 			return status.items[i];
 		});
+		status.layout && this.layout.setStatus(status.layout);
 		return this;
 	}
 }
+
+LayoutManager.layouts = {
+	[LAYOUT_TYPE.MASONRY]: MasonryLayout,
+	[LAYOUT_TYPE.JUSTIFIED]: JustifiedLayout,
+};
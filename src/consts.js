@@ -5,3 +5,52 @@ const ua = window.navigator.userAgent;
 export const IS_IE = /MSIE|Trident|Windows Phone|Edge/.test(ua);
 export const IS_IOS = /iPhone|iPad/.test(ua);
 export const RETRY = 3;
+// the interval(ms) to check the sizes of items if ResizeObserver is not supported
+export const RESIZE_POLLING_INTERVAL = 300;
+export const DIRECTION = {
+	VERTICAL: "vertical",
+	HORIZONTAL: "horizontal",
+};
+
+// pos1/size1: the direction of the scroll, pos2/size2: the direction of the columns
+export const STYLE = {
+	[DIRECTION.VERTICAL]: {
+		pos1: "y",
+		pos2: "x",
+		size1: "height",
+		size2: "width",
+		startPos1: "top",
+		startPos2: "left",
+		endPos1: "bottom",
+		gap1: "rowGap",
+		gap2: "columnGap",
+		innerSize1: "innerHeight",
+		innerSize2: "innerWidth",
+		scroll: "scrollTop",
+	},
+	[DIRECTION.HORIZONTAL]: {
+		pos1: "x",
+		pos2: "y",
+		size1: "width",
+		size2: "height",
+		startPos1: "left",
+		startPos2: "top",
+		endPos1: "right",
+		gap1: "columnGap",
+		gap2: "rowGap",
+		innerSize1: "innerWidth",
+		innerSize2: "innerHeight",
+		scroll: "scrollLeft",
+	},
+};
+
+export const LAYOUT_TYPE = {
+	MASONRY: "masonry",
+	JUSTIFIED: "justified",
+};
+// the alignment of a card element in the scroll area after scrolling to it
+export const ALIGN = {
+	START: "start",
+	CENTER: "center",
+	END: "end",
+};
@@ -1,4 +1,5 @@
-import {IS_IOS} from "./consts";
+import {IS_IOS, DIRECTION} from "./consts";
+import {window, document} from "./browser";
 import {utils} from "./utils";
 
 export default superclass => class extends superclass {
@@ -6,16 +7,97 @@ export default superclass => class extends superclass {
 		super();
 		this._onScroll = this._onScroll.bind(this);
 		this._onResize = this._onResize.bind(this);
+		this._onIntersect = this._onIntersect.bind(this);
 	}
 	_attachEvent() {
+		if (this.options.useIntersectionObserver && window.IntersectionObserver) {
+			const threshold = this.options.threshold;
+
+			// the area of the view is extended by the threshold in the direction of the layout
+			this._edgeObserver = new window.IntersectionObserver(this._onIntersect, {
+				root: this.view === window ? null : this.view,
+				rootMargin: this.options.direction === DIRECTION.HORIZONTAL ?
+					`0px ${threshold}px` : `${threshold}px 0px`,
+			});
+			// [top sentinel, bottom sentinel]
+			this._sentinels = [0, 1].map(() => {
+				const sentinel = document.createElement("div");
+
+				sentinel.style.cssText = "position:absolute;visibility:hidden;pointer-events:none;";
+				sentinel.style[this._style.startPos2] = "0px";
+				sentinel.style[this._style.size2] = "1px";
+				return sentinel;
+			});
+		}
 		utils.addEvent(this.view, "scroll", this._onScroll);
-		utils.addEvent(this.view, "resize", this._onResize);
+		utils.addEvent(window, "resize", this._onResize);
+	}
+	// The top sentinel covers the layout from the start to the end of the top card element
+	// and the bottom sentinel covers it from the start of the bottom card element to the end.
+	_observeEdges() {
+		const observer = this._edgeObserver;
+
+		if (!observer) {
+			return;
+		}
+		const {pos1, size1, startPos1} = this._style;
+		const topItem = this.layoutManager.getTopItem();
+		const bottomItem = this.layoutManager.getBottomItem();
+
+		observer.disconnect();
+		if (!topItem) {
+			this._detachSentinels();
+			return;
+		}
+		const ranges = [
+			[0, topItem.position[pos1] + topItem.size[size1]],
+			[bottomItem.position[pos1], this.layoutManager.getLogicalSize()],
+		];
+
+		this._sentinels.forEach((sentinel, i) => {
+			sentinel.style[startPos1] = `${ranges[i][0]}px`;
+			sentinel.style[size1] = `${Math.max(ranges[i][1] - ranges[i][0], 1)}px`;
+			sentinel.parentNode !== this.el && this.el.appendChild(sentinel);
+			// a sentinel observed again is notified of its current state
+			observer.observe(sentinel);
+		});
+	}
+	// removes the sentinels from the base element and returns the function which restores them
+	_detachSentinels() {
+		const sentinels = (this._sentinels || []).filter(v => v.parentNode === this.el);
+
+		sentinels.forEach(v => this.el.removeChild(v));
+		return () => sentinels.forEach(v => this.el.appendChild(v));
+	}
+	_onIntersect(entries) {
+		const scrollTop = this._getScrollPos();
+
+		entries.forEach(entry => {
+			if (!entry.isIntersecting || this.isProcessing()) {
+				return;
+			}
+			if (entry.target === this._sentinels[1]) {
+				this._requestAppend(scrollTop);
+			} else if (this.isRecycling()) {
+				this._requestPrepend(scrollTop);
+			}
+		});
+	}
+	// the offset of the scroll area from the start edge of the window
+	_getViewOffset() {
+		return this.view === window ?
+			0 : this.view.getBoundingClientRect()[this._style.startPos1];
 	}
 	_onScroll() {
-		if (this.isProcessing()) {
+		// the group requested with the restoreGroup event is not scrolled to after the user scrolls
+		!this.isProcessing() && (this._scrollTarget = null);
+		this._checkVisibleItems();
+		// the edges are detected by the sentinels
+		if (this.isProcessing() || this._edgeObserver) {
 			return;
 		}
-		let scrollTop = utils.scrollTop();
+		const {startPos1, endPos1} = this._style;
+		let scrollTop = this._getScrollPos();
 		const prevScrollTop = this._status.prevScrollTop;
 
 		if ((IS_IOS && scrollTop === 0) || prevScrollTop === scrollTop) {
@@ -33,18 +115,9 @@ export default superclass => class extends superclass {
 			}
 			ele = this._status.bottomElement;
 			rect = ele.getBoundingClientRect();
-			if (rect.top <= this._status.clientHeight + this.options.threshold) {
-				/**
-				 * This event is fired when a card element must be added at the bottom of a grid layout because there is no card to be displayed on screen when a user scrolls near bottom.
-				 * @ko 카드 엘리먼트가 그리드 레이아웃의 아래에 추가돼야 할 때 발생하는 이벤트. 사용자가 아래로 스크롤해서 화면에 표시될 카드가 없을 때 발생한다
-				 * @event eg.InfiniteGrid#append
-				 *
-				 * @param {Object} param The object of data to be sent to an event <ko>이벤트에 전달되는 데이터 객체</ko>
-				 * @param {Number} param.scrollTop Current vertical position of the scroll bar<ko>현재 스크롤의 y 좌표 값</ko>
-				 */
-				this.trigger("append", {
-					scrollTop,
-				});
+			if (rect[startPos1] - this._getViewOffset() <=
+				this._status.clientHeight + this.options.threshold) {
+				this._requestAppend(scrollTop);
 			}
 		} else {
 			if (utils.isEmptyObject(this._status.topElement)) {
@@ -55,37 +128,67 @@ export default superclass => class extends superclass {
 			}
 			ele = this._status.topElement;
 			rect = ele.getBoundingClientRect();
-			if (rect.bottom >= -this.options.threshold) {
-				/**
-				 * This event is fired when a card element must be added at the top of a grid layout because there is no card to be displayed on screen when a user scrolls near top. This event is available only if the isRecycling() method returns true.
-				 * @ko 카드가 그리드 레이아웃의 위에 추가돼야 할 때 발생하는 이벤트. 사용자가 위로 스크롤해서 화면에 표시될 카드가 없을 때 발생한다. 이 이벤트는 isRecycling() 메서드의 반환값이 'true'일 때만 발생한다
-				 * @event eg.InfiniteGrid#prepend
-				 *
-				 * @param {Object} param The object of data to be sent to an event<ko>이벤트에 전달되는 데이터 객체</ko>
-				 * @param {Number} param.scrollTop Current vertical position of the scroll bar<ko>현재 스크롤의 y 좌표 값</ko>
-				 */
-				const croppedDistance = this._fitItems();
-
-				if (croppedDistance > 0) {
-					scrollTop -= croppedDistance;
-					this.view.scrollTo(0, scrollTop);
-				}
-				this.trigger("prepend", {
-					scrollTop,
-				});
+			if (rect[endPos1] - this._getViewOffset() >= -this.options.threshold) {
+				scrollTop = this._requestPrepend(scrollTop);
 			}
 		}
 		this._status.prevScrollTop = scrollTop;
 	}
 
+	_requestAppend(scrollTop) {
+		const {scroll} = this._style;
+
+		/**
+		 * This event is fired when a card element must be added at the bottom of a grid layout because there is no card to be displayed on screen when a user scrolls near bottom.
+		 * @ko 카드 엘리먼트가 그리드 레이아웃의 아래에 추가돼야 할 때 발생하는 이벤트. 사용자가 아래로 스크롤해서 화면에 표시될 카드가 없을 때 발생한다
+		 * @event eg.InfiniteGrid#append
+		 *
+		 * @param {Object} param The object of data to be sent to an event <ko>이벤트에 전달되는 데이터 객체</ko>
+		 * @param {Number} param.scrollTop Current vertical position of the scroll bar<ko>현재 스크롤의 y 좌표 값</ko>
+		 * @param {Number} param.scrollLeft Current horizontal position of the scroll bar. It is only set if the direction option is "horizontal"<ko>현재 스크롤의 x 좌표 값. direction 옵션이 "horizontal"일 때만 설정된다</ko>
+		 */
+		!this._renderData(true) && this.trigger("append", {
+			[scroll]: scrollTop,
+		});
+	}
+	// returns the scroll position after the card elements above are cropped
+	_requestPrepend(scrollTop) {
+		const {scroll} = this._style;
+		let scrollPos = scrollTop;
+
+		/**
+		 * This event is fired when a card element must be added at the top of a grid layout because there is no card to be displayed on screen when a user scrolls near top. This event is available only if the isRecycling() method returns true.
+		 * @ko 카드가 그리드 레이아웃의 위에 추가돼야 할 때 발생하는 이벤트. 사용자가 위로 스크롤해서 화면에 표시될 카드가 없을 때 발생한다. 이 이벤트는 isRecycling() 메서드의 반환값이 'true'일 때만 발생한다
+		 * @event eg.InfiniteGrid#prepend
+		 *
+		 * @param {Object} param The object of data to be sent to an event<ko>이벤트에 전달되는 데이터 객체</ko>
+		 * @param {Number} param.scrollTop Current vertical position of the scroll bar<ko>현재 스크롤의 y 좌표 값</ko>
+		 * @param {Number} param.scrollLeft Current horizontal position of the scroll bar. It is only set if the direction option is "horizontal"<ko>현재 스크롤의 x 좌표 값. direction 옵션이 "horizontal"일 때만 설정된다</ko>
+		 */
+		const croppedDistance = this._fitItems();
+
+		// the sentinels are placed again at the edges of the fitted items
+		croppedDistance !== 0 && this._observeEdges();
+		if (croppedDistance > 0) {
+			scrollPos -= croppedDistance;
+			this._scrollTo(scrollPos);
+		}
+		!this._renderData(false) && this.trigger("prepend", {
+			[scroll]: scrollPos,
+		});
+		return scrollPos;
+	}
+
 	_onResize() {
 		if (this._timer.resize) {
 			clearTimeout(this._timer.resize);
 		}
 		this._timer.resize = setTimeout(() => {
+			this._resizeViewport();
 			if (this.layoutManager.isNeededResize()) {
-				this._resizeViewport();
 				this.layout(true);
+			} else {
+				this._checkVisibleItems();
 			}
 			this._timer.resize = null;
 			this._status.prevScrollTop = -1;
@@ -94,6 +197,11 @@ export default superclass => class extends superclass {
 
 	_detachEvent() {
 		utils.removeEvent(this.view, "scroll", this._onScroll);
-		utils.removeEvent(this.view, "resize", this._onResize);
+		if (this._edgeObserver) {
+			this._edgeObserver.disconnect();
+			this._detachSentinels();
+			this._edgeObserver = null;
+		}
+		utils.removeEvent(window, "resize", this._onResize);
 	}
 };
@@ -0,0 +1,181 @@
+import {utils} from "../utils";
+
+// Arranges card elements in rows that are filled edge to edge.
+// Every card keeps its aspect ratio, so the size of a row varies around the rowSize option.
+// Items added at once are arranged in their own rows,
+// so recycling by group never leaves a half-empty row.
+export default class JustifiedLayout {
+	constructor(options) {
+		this.options = options;
+		this._style = utils.getStyleNames(options.direction);
+		this.resizeItems = true;
+		this.containerWidth = 0;
+		this.startPos = 0;
+		this.endPos = 0;
+	}
+	measure(containerWidth) {
+		this.containerWidth = containerWidth;
+		this.startPos = 0;
+		this.endPos = 0;
+	}
+	append(items) {
+		this.endPos += this.layoutRows(items, this.endPos);
+	}
+	prepend(items) {
+		const size = this.layoutRows(items, 0);
+		const pos1 = this._style.pos1;
+
+		this.startPos -= size;
+		items.forEach(v => {
+			v.position[pos1] += this.startPos;
+		});
+	}
+	relayout(items, index = 0) {
+		const {pos1, size1} = this._style;
+		const prev = items[index - 1];
+		let start = Math.min(index, items.length);
+
+		// the items are placed again from the start of the row of the item before the index
+		while (prev && start > 0 && items[start - 1].groupKey === prev.groupKey &&
+			items[start - 1].position[pos1] === prev.position[pos1]) {
+			start--;
+		}
+		const last = items[start - 1];
+		const startPos = last ? last.position[pos1] + last.size[size1] + this.getGap1() : this.startPos;
+
+		this.endPos = startPos + this.layoutGroups(items.slice(start), startPos);
+	}
+	sync(items) {
+		const {pos1, size1} = this._style;
+		const gap1 = this.getGap1();
+
+		this.startPos = items.length ? Infinity : 0;
+		this.endPos = items.length ? -Infinity : 0;
+		items.forEach(v => {
+			this.startPos = Math.min(this.startPos, v.position[pos1]);
+			this.endPos = Math.max(this.endPos, v.position[pos1] + v.size[size1] + gap1);
+		});
+	}
+	getLogicalSize() {
+		// the last row has no gap
+		return Math.max(this.endPos - this.getGap1(), 0);
+	}
+	getStatus() {
+		return {
+			containerWidth: this.containerWidth,
+			startPos: this.startPos,
+			endPos: this.endPos,
+		};
+	}
+	setStatus(status) {
+		Object.assign(this, status);
+	}
+	// lay out each run of items with the same group key in its own rows
+	layoutGroups(items, startPos) {
+		let pos = startPos;
+		let start = 0;
+
+		items.forEach((v, i) => {
+			const next = items[i + 1];
+
+			if (!next || next.groupKey !== v.groupKey) {
+				pos += this.layoutRows(items.slice(start, i + 1), pos);
+				start = i + 1;
+			}
+		});
+		return pos - startPos;
+	}
+	// returns the total size of the rows including the gaps after them
+	layoutRows(items, startPos) {
+		const {pos1, pos2, size1, size2} = this._style;
+		const gap1 = this.getGap1();
+		const gap2 = this.getGap2();
+		let pos = startPos;
+
+		this.getRows(items).forEach(row => {
+			let pos2Value = 0;
+
+			row.items.forEach(v => {
+				const ratio = this.getRatio(v);
+
+				v.size = {
+					[size1]: row.size,
+					[size2]: row.size * ratio,
+				};
+				v.position = {
+					[pos1]: pos,
+					[pos2]: pos2Value,
+				};
+				pos2Value += v.size[size2] + gap2;
+			});
+			pos += row.size + gap1;
+		});
+		return pos - startPos;
+	}
+	getRows(items) {
+		const {rowSize, minRowSize, maxRowSize} = this.options;
+		const containerWidth = this.containerWidth;
+		const gap2 = this.getGap2();
+		const rows = [];
+		// maxRowSize of 0 means no maximum
+		const clamp = size => Math.max(
+			maxRowSize > 0 ? Math.min(size, maxRowSize) : size,
+			minRowSize || 0
+		);
+		let row = [];
+		let ratio = 0;
+
+		items.forEach(v => {
+			const itemRatio = this.getRatio(v);
+			// the gaps between items are excluded
+			const prevSize = ratio ? (containerWidth - gap2 * (row.length - 1)) / ratio : Infinity;
+			const size = (containerWidth - gap2 * row.length) / (ratio + itemRatio);
+
+			if (size > rowSize) {
+				row.push(v);
+				ratio += itemRatio;
+				return;
+			}
+			// use the row size which is closer to the rowSize option
+			if (row.length && prevSize - rowSize < rowSize - size) {
+				rows.push({items: row, size: clamp(prevSize)});
+				row = [v];
+				ratio = itemRatio;
+			} else {
+				row.push(v);
+				rows.push({items: row, size: clamp(size)});
+				row = [];
+				ratio = 0;
+			}
+		});
+		if (row.length) {
+			// the last row isn't stretched
+			rows.push({
+				items: row,
+				size: clamp(Math.min(rowSize, (containerWidth - gap2 * (row.length - 1)) / ratio)),
+			});
+		}
+		return rows;
+	}
+	// the gap between rows
+	getGap1() {
+		return this.options[this._style.gap1] || 0;
+	}
+	// the gap between items in a row
+	getGap2() {
+		return this.options[this._style.gap2] || 0;
+	}
+	// the ratio of the size across the row to the size of the row
+	getRatio(item) {
+		const {size1, size2} = this._style;
+
+		if (!item.orgSize) {
+			item.orgSize = {
+				width: utils.innerWidth(item.el),
+				height: utils.innerHeight(item.el),
+			};
+		}
+		return item.orgSize[size1] ?
+			item.orgSize[size2] / item.orgSize[size1] : 1;
+	}
+}
@@ -0,0 +1,334 @@
+import {utils} from "../utils";
+
+// Arranges card elements in columns of the same width.
+// Each card element is placed in the shortest column.
+export default class MasonryLayout {
+	constructor(options) {
+		this.options = options;
+		this._style = utils.getStyleNames(options.direction);
+		this.size = {
+			columnWidth: null,
+			equalItemSize: null,
+		};
+		this.appendCols = [];
+		this.prependCols = [];
+	}
+	measure(containerWidth, items) {
+		const count = this.getColumnCount(containerWidth);
+
+		if (this.isFixedColumnWidth()) {
+			// items are resized to the width of the columns
+			this.size.equalItemSize = null;
+			this.size.columnWidth = this.options.columnWidth ||
+				(containerWidth - this.getGap2() * (count - 1)) / count;
+		} else {
+			this.size.columnWidth = this.getColumnWidth(items) || containerWidth;
+		}
+		this.resetCols(count || this.getColumnCount(containerWidth, this.size.columnWidth));
+	}
+	isNeededResize(containerWidth) {
+		// if the width of columns is fixed, only the number of columns matters
+		return !this.options.columnWidth ||
+			this.getColumnCount(containerWidth) !== this.appendCols.length;
+	}
+	// the number of columns from the breakpoints or columns option, or the width of columns
+	getColumnCount(containerWidth, columnWidth = this.options.columnWidth) {
+		const breakpoints = this.options.breakpoints;
+		const gap2 = this.getGap2();
+
+		if (breakpoints) {
+			const widths = Object.keys(breakpoints)
+				.map(v => parseFloat(v))
+				.sort((a, b) => a - b);
+			const width = widths.filter(v => v <= containerWidth).pop();
+
+			return breakpoints[typeof width === "undefined" ? widths[0] : width] || 1;
+		} else if (this.options.columns) {
+			return this.options.columns;
+		} else if (!columnWidth) {
+			return 0;
+		}
+
+		// the last column has no gap
+		const columnSize = columnWidth + gap2;
+		const cols = (containerWidth + gap2) / columnSize;
+		const excess = columnSize - (containerWidth + gap2) % columnSize;
+
+		// if overshoot is less than a pixel, round up, otherwise floor it
+		return Math.max(Math[excess && excess <= 1 ? "round" : "floor"](cols), 1) || 0;
+	}
+	isFixedColumnWidth() {
+		const {columns, columnWidth, breakpoints} = this.options;
+
+		return !!(columns || columnWidth || breakpoints);
+	}
+	append(items) {
+		items.forEach(v => {
+			v.position = this.getItemPosition(v, true);
+		});
+	}
+	prepend(items) {
+		// the last item is placed first
+		for (let i = items.length - 1; i >= 0; i--) {
+			items[i].position = this.getItemPosition(items[i], false);
+		}
+	}
+	relayout(items, index = 0) {
+		this.appendCols = [...this.prependCols];
+		// the columns start from the ends of the items which keep their positions
+		index > 0 && this.syncCols(items.slice(0, index), true);
+		this.append(items.slice(index));
+	}
+	sync(items) {
+		if (!items.length) {
+			this.resetCols();
+			return;
+		}
+		this.syncCols(items, false);	// for prepending
+		this.syncCols(items, true);	// for appending
+	}
+	// measures the resized items again and moves the items below them in the same columns
+	reflow(items, resizedItems) {
+		const {pos1, size1} = this._style;
+		const sorted = items.concat().sort((p, c) => p.position[pos1] - c.position[pos1]);
+		const getCols = item => {
+			const idx = this.getColIdx(item);
+			const cols = [];
+
+			for (let i = idx; i < idx + (item.columnSpan || 1); i++) {
+				cols.push(i);
+			}
+			return cols;
+		};
+
+		resizedItems.forEach(item => {
+			const prevSize = item.size[size1];
+
+			item.size = this.getItemSize(item);
+
+			const delta = item.size[size1] - prevSize;
+			// the start positions of the items to be moved in each column
+			const starts = {};
+
+			if (!delta) {
+				return;
+			}
+			getCols(item).forEach(col => {
+				starts[col] = item.position[pos1];
+			});
+			sorted.forEach(v => {
+				const pos = v.position[pos1];
+				const cols = getCols(v);
+
+				if (v === item || !cols.some(col => col in starts && pos > starts[col])) {
+					return;
+				}
+				v.position[pos1] += delta;
+				// the items below a moved item are also moved
+				cols.forEach(col => {
+					!(col in starts) && (starts[col] = pos);
+				});
+			});
+		});
+	}
+	getLogicalSize() {
+		// the last item has no gap
+		return Math.max(Math.max(...this.appendCols) - this.getGap1(), 0);
+	}
+	getStatus() {
+		return {
+			size: Object.assign({}, this.size),
+			appendCols: this.appendCols.concat(),
+			prependCols: this.prependCols.concat(),
+		};
+	}
+	setStatus(status) {
+		Object.assign(this.size, status.size);
+		this.appendCols = status.appendCols.concat();
+		this.prependCols = status.prependCols.concat();
+	}
+	resetCols(count) {
+		const arr = [];
+		let tmpCount = count || this.appendCols.length || 0;
+
+		while (tmpCount--) {
+			arr.push(0);
+		}
+		this.appendCols = arr.concat();
+		this.prependCols = arr.concat();
+	}
+	getItemPosition(item, isAppend) {
+		if (!item || !item.el) {
+			return {
+				x: 0,
+				y: 0,
+			};
+		}
+		// the element of an item with a cached size can be rendered again
+		this.isFixedColumnWidth() && this.resizeItem(item);
+		if (!item.size) {
+			item.size = this.getItemSize(item);
+		}
+		const {pos1, pos2, size1} = this._style;
+		const cols = isAppend ? this.appendCols : this.prependCols;
+		const span = this.getColumnSpan(item);
+		const size = item.size[size1] + this.getGap1();
+		const placeholderIndex = isAppend && item.placeholder ? this.getColIdx(item.placeholder) : -1;
+		let y = isAppend ? Infinity : -Infinity;
+		let shortColIndex = 0;
+
+		if (placeholderIndex >= 0 && placeholderIndex <= cols.length - span) {
+			// reuse the column of the placeholder which the item replaces
+			shortColIndex = placeholderIndex;
+			y = Math.max(...cols.slice(placeholderIndex, placeholderIndex + span));
+		} else {
+			// find the lowest(highest when prepending) position across the spanned columns
+			for (let i = 0; i <= cols.length - span; i++) {
+				const edge = Math[isAppend ? "max" : "min"](...cols.slice(i, i + span));
+
+				if (isAppend ? edge < y : edge >= y) {
+					y = edge;
+					shortColIndex = i;
+				}
+			}
+		}
+		for (let i = shortColIndex; i < shortColIndex + span; i++) {
+			cols[i] = y + (isAppend ? size : -size);
+		}
+		item.columnSpan = span;
+
+		return {
+			[pos1]: isAppend ? y : y - size,
+			[pos2]: (this.size.columnWidth + this.getGap2()) * shortColIndex,
+		};
+	}
+	// the number of columns the item spans. "data-column-span" attribute or the width of the item is used.
+	// If the width of columns is fixed, only "data-column-span" attribute is used.
+	getColumnSpan(item) {
+		const attr = item.el.getAttribute("data-column-span");
+		const gap2 = this.getGap2();
+		let span = parseInt(attr, 10) || 1;
+
+		if (!attr && !this.isFixedColumnWidth()) {
+			span = Math.round((item.size[this._style.size2] + gap2) / (this.size.columnWidth + gap2));
+		}
+		return Math.min(Math.max(span || 1, 1), this.appendCols.length);
+	}
+	resizeItem(item) {
+		const span = this.getColumnSpan(item);
+
+		item.el.style[this._style.size2] =
+			`${this.size.columnWidth * span + this.getGap2() * (span - 1)}px`;
+	}
+	syncCols(items, isBottom) {
+		const colItems = this.getColItems(items, isBottom);
+		const col = isBottom ? this.appendCols : this.prependCols;
+		const len = col.length;
+		const {pos1, size1} = this._style;
+		const gap1 = this.getGap1();
+
+		for (let i = 0; i < len; i++) {
+			if (colItems[i]) {
+				col[i] = colItems[i].position[pos1] + (isBottom ? colItems[i].size[size1] + gap1 : 0);
+			}
+		}
+	}
+	getColIdx(item) {
+		return Math.round(item.position[this._style.pos2] / (this.size.columnWidth + this.getGap2()));
+	}
+	// the gap between items in a column
+	getGap1() {
+		return this.options[this._style.gap1] || 0;
+	}
+	// the gap between columns
+	getGap2() {
+		return this.options[this._style.gap2] || 0;
+	}
+	getColItems(items, isBottom) {
+		const len = this.appendCols.length;
+		const colItems = new Array(len);
+		let item;
+		let idx;
+		let count = 0;
+		let i = isBottom ? items.length - 1 : 0;
+
+		while ((item = items[i])) {
+			idx = this.getColIdx(item);
+			for (let j = idx; j < idx + (item.columnSpan || 1) && j < len; j++) {
+				if (!colItems[j]) {
+					colItems[j] = item;
+					if (++count === len) {
+						return colItems;
+					}
+				}
+			}
+			i += isBottom ? -1 : 1;
+		}
+		return colItems;
+	}
+	getItemSize(item) {
+		if (this.size.equalItemSize) {
+			return this.size.equalItemSize;
+		}
+		const el = item.el;
+		const size = {
+			width: utils.innerWidth(el),
+			height: utils.innerHeight(el),
+		};
+
+		if (!item.orgSize) {
+			return size;
+		}
+		// the size is calculated with the intrinsic size without waiting for images
+		const {size1, size2, innerSize1, innerSize2} = this._style;
+		const ratio = item.orgSize[size1] / item.orgSize[size2];
+		const image = item.isImageSize && el.querySelector("img");
+
+		if (image && image.complete && image.naturalWidth) {
+			// the loaded image has its own size
+			return size;
+		}
+		const imageSize2 = image && utils[innerSize2](image);
+
+		if (imageSize2) {
+			// only the image is sized, so the other contents of the card element are measured too
+			this.resizeImage(image, imageSize2 * ratio);
+			size[size1] = utils[innerSize1](el);
+		} else {
+			size[size1] = size[size2] * ratio;
+			el.style[size1] = `${size[size1]}px`;
+		}
+		return size;
+	}
+	// sets the size of the image until it is loaded or fails to load
+	resizeImage(image, size) {
+		const size1 = this._style.size1;
+		const onComplete = () => {
+			utils.removeEvent(image, "load", onComplete);
+			utils.removeEvent(image, "error", onComplete);
+			image.style[size1] = "";
+		};
+
+		image.style[size1] = `${size}px`;
+		utils.addEvent(image, "load", onComplete);
+		utils.addEvent(image, "error", onComplete);
+	}
+	getColumnWidth(items) {
+		let width = 0;
+		const el = items[0] && items[0].el;
+
+		if (el) {
+			// the width of a column is the width of the item divided by its column span
+			const span = parseInt(el.getAttribute("data-column-span"), 10) || 1;
+
+			width = (utils[this._style.innerSize2](el) - this.getGap2() * (span - 1)) / span;
+			if (this.options.isEqualSize) {
+				this.size.equalItemSize = {
+					width: utils.innerWidth(el),
+					height: utils.innerHeight(el),
+				};
+			}
+		}
+		return width;
+	}
+}
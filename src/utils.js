@@ -1,4 +1,5 @@
 import {window, document} from "./browser";
+import {DIRECTION, STYLE} from "./consts";
 
 const SUPPORT_COMPUTEDSTYLE = !!("getComputedStyle" in window);
 const SUPPORT_ADDEVENTLISTENER = !!("addEventListener" in document);
@@ -81,8 +82,28 @@ const utils = {
 			element[`on${type}`] = null;
 		}
 	},
-	scrollTop() {
-		return document.body.scrollTop || document.documentElement.scrollTop;
+	scrollTop(el) {
+		if (!el || el === window) {
+			return document.body.scrollTop || document.documentElement.scrollTop;
+		}
+		return el.scrollTop;
+	},
+	scrollLeft(el) {
+		if (!el || el === window) {
+			return document.body.scrollLeft || document.documentElement.scrollLeft;
+		}
+		return el.scrollLeft;
+	},
+	scrollTo(el, x, y, isSmooth) {
+		if (isSmooth && el.scrollTo &&
+			"scrollBehavior" in document.documentElement.style) {
+			el.scrollTo({left: x, top: y, behavior: "smooth"});
+		} else if (el === window) {
+			el.scrollTo(x, y);
+		} else {
+			el.scrollLeft = x;
+			el.scrollTop = y;
+		}
 	},
 	getSize(el, name, hasBorder = false, hasMargin = false) {
 		if (el === window) {	// WINDOW
@@ -112,6 +133,36 @@ const utils = {
 	innerHeight(el) {
 		return this.getSize(el, "Height");
 	},
+	getStyleNames(direction, isRTL = false) {
+		const style = STYLE[direction] || STYLE[DIRECTION.VERTICAL];
+
+		// columns are placed from the right in vertical direction
+		return isRTL && style === STYLE[DIRECTION.VERTICAL] ?
+			Object.assign({}, style, {startPos2: "right"}) : style;
+	},
+	isRTL(el) {
+		const style = SUPPORT_COMPUTEDSTYLE ?
+			window.getComputedStyle(el) : el.currentStyle;
+
+		return style.direction === "rtl";
+	},
+	requestAnimationFrame(callback) {
+		const raf = window.requestAnimationFrame || window.webkitRequestAnimationFrame;
+
+		return raf ? raf.call(window, callback) : setTimeout(callback, 16);
+	},
+	cancelAnimationFrame(id) {
+		const caf = window.cancelAnimationFrame || window.webkitCancelAnimationFrame;
+
+		caf ? caf.call(window, id) : clearTimeout(id);
+	},
+	// the error like DOMException of an aborted fetch
+	abortError(message) {
+		const error = new Error(message);
+
+		error.name = "AbortError";
+		return error;
+	},
 	isEmptyObject(obj) {
 		let name;
 
@@ -1,9 +1,33 @@
 import InfiniteGrid from "../../src/InfiniteGrid";
+import ImageLoaded from "../../src/ImageLoaded";
 import {window} from "../../src/browser";
 import {utils} from "../../src/utils";
+import {RESIZE_POLLING_INTERVAL} from "../../src/consts";
 import {Content} from "../content";
 import $ from "jquery";
 
+const GRID_HTML = `<div style="width:300px;"><ul id="grid" style="margin:0;padding:0;"></ul></div>`;
+const SCROLLER_HTML = `<div id="scroller" style="width:300px;height:400px;overflow-y:scroll;">
+	<ul id="grid" style="margin:0;padding:0;"></ul></div>`;
+
+// creates the grid with the options in the fixture before each test and destroys it after each test
+function setupGrid(context, options, html = GRID_HTML) {
+	beforeEach(() => {
+		context.el = sandbox();
+		context.el.innerHTML = html;
+		if (options) {
+			context.inst = new InfiniteGrid("#grid", options);
+		}
+	});
+	afterEach(() => {
+		if (context.inst) {
+			context.inst.destroy();
+			context.inst = null;
+		}
+		cleanup();
+	});
+}
+
 describe("InfiniteGrid initailization/unit Test", function() {
 	beforeEach(() => {
 		this.inst = null;
@@ -584,14 +608,14 @@ describe("InfiniteGrid layout(false) Test", function() {
 		// When
 		this.inst.on("layoutComplete", function(e) {
 			// prependCols values are zero
-			this.layoutManager.prependCols.forEach(v => expect(v).to.be.equal(0));
+			this.layoutManager.layout.prependCols.forEach(v => expect(v).to.be.equal(0));
 
 			this.off();
 			this.on("layoutComplete", function(e) {
 				// Given
-				beforePrependCols = [...this.layoutManager.prependCols];
+				beforePrependCols = [...this.layoutManager.layout.prependCols];
 				// prependCols values aren't zero
-				this.layoutManager.prependCols.forEach(v => expect(v).to.be.not.equal(0));
+				this.layoutManager.layout.prependCols.forEach(v => expect(v).to.be.not.equal(0));
 
 				beforePosition = e.target[5].position;
 				const beforeItemLen = this.layoutManager.items.length;
@@ -610,8 +634,8 @@ describe("InfiniteGrid layout(false) Test", function() {
 
 				this.off();
 				this.on("layoutComplete", function(e) {
-					beforePrependCols = [...this.layoutManager.prependCols];
-					this.layoutManager.prependCols.forEach((v, i) => expect(v).to.be.equal(beforePrependCols[i]));
+					beforePrependCols = [...this.layoutManager.layout.prependCols];
+					this.layoutManager.layout.prependCols.forEach((v, i) => expect(v).to.be.equal(beforePrependCols[i]));
 					
 					// Then
 					var ret = getItem(this.layoutManager.items, beforePosition);
@@ -742,4 +766,1985 @@ describe("InfiniteGrid data type Test", function() {
         // When
         this.inst.append($(data));
 	});        
-});
\ No newline at end of file
+});
+describe("InfiniteGrid horizontal direction Test", function() {
+	setupGrid(this, {
+		"direction": "horizontal",
+	}, `<ul id="grid" style="margin:0;padding:0;height:300px;"></ul>`);
+
+	it("should arrange items in rows along the x axis", done => {
+		// Given
+		const elements = [];
+
+		for (let i = 0; i < 12; i++) {
+			elements.push(`<li style="margin:0;padding:0;height:100px;width:${50 + i * 10}px;"></li>`);
+		}
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			const rows = {};
+
+			expect(this.layoutManager.layout.appendCols.length).to.be.equal(3);
+			this.layoutManager.items.forEach(v => {
+				expect([0, 100, 200]).to.include(v.position.y);
+				(rows[v.position.y] = rows[v.position.y] || []).push(v);
+			});
+			for (const y in rows) {
+				rows[y].forEach((v, i) => {
+					i > 0 && expect(v.position.x).to.be.equal(rows[y][i - 1].position.x + rows[y][i - 1].size.width);
+				});
+			}
+			expect(this.el.style.width).to.be.equal(`${this.layoutManager.getLogicalSize()}px`);
+			expect(this.el.style.height).to.be.equal("300px");
+			done();
+		});
+
+		// When
+		this.inst.append(elements.join(""));
+	});
+
+	it("should keep the width of the base element while relayouting", done => {
+		// Given
+		this.inst.once("layoutComplete", () => {
+			const width = this.inst.el.style.width;
+			const layout = this.inst.layoutManager.layout;
+			const measure = layout.measure;
+			let measuredWidth;
+
+			sinon.stub(layout, "measure").callsFake((...args) => {
+				measuredWidth = this.inst.el.style.width;
+				return measure.apply(layout, args);
+			});
+			this.inst.once("layoutComplete", () => {
+				// Then
+				expect(measuredWidth).to.be.equal(width);
+				expect(this.inst.el.style.width).to.be.equal(width);
+				done();
+			});
+
+			// When
+			this.inst.layout(true);
+		});
+		this.inst.append(`<li style="margin:0;padding:0;height:100px;width:100px;"></li>
+			<li style="margin:0;padding:0;height:100px;width:100px;"></li>
+			<li style="margin:0;padding:0;height:100px;width:100px;"></li>
+			<li style="margin:0;padding:0;height:100px;width:100px;"></li>`);
+	});
+});
+
+describe("InfiniteGrid justified layout Test", function() {
+	setupGrid(this, {
+		"layoutType": "justified",
+		"rowSize": 100,
+	}, `<div id="wrapper" style="width:600px;"><ul id="grid" style="margin:0;padding:0;"></ul></div>`);
+
+	it("should fill rows keeping the aspect ratio of items", done => {
+		// Given
+		const elements = [];
+
+		for (let i = 0; i < 20; i++) {
+			elements.push(`<li style="margin:0;padding:0;height:100px;width:${100 + (i % 4) * 50}px;"></li>`);
+		}
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			const rows = {};
+			const items = this.layoutManager.items;
+
+			items.forEach(v => {
+				expect(v.size.width / v.size.height).to.be.closeTo(v.orgSize.width / v.orgSize.height, 0.001);
+				(rows[v.position.y] = rows[v.position.y] || []).push(v);
+			});
+			const keys = Object.keys(rows);
+
+			keys.slice(0, -1).forEach(y => {
+				const last = rows[y][rows[y].length - 1];
+
+				expect(last.position.x + last.size.width).to.be.closeTo(600, 0.1);
+			});
+			expect(this.el.style.height).to.be.equal(`${this.layoutManager.getLogicalSize()}px`);
+			done();
+		});
+
+		// When
+		this.inst.append(elements.join(""));
+	});
+
+	it("should arrange rows after the status is restored from JSON", done => {
+		// Given
+		this.inst.once("layoutComplete", () => {
+			const status = JSON.parse(JSON.stringify(this.inst.getStatus()));
+
+			this.inst.setStatus(status);
+			this.inst.once("layoutComplete", () => {
+				// Then
+				this.inst.layoutManager.items.forEach(v => {
+					expect(v.size.height).to.be.above(0);
+				});
+				done();
+			});
+
+			// When
+			this.inst.layout(true);
+		});
+		this.inst.append(`<li style="margin:0;padding:0;height:100px;width:100px;"></li>
+			<li style="margin:0;padding:0;height:100px;width:150px;"></li>`);
+	});
+
+	it("should arrange rows again from the row of the position where card elements are inserted", () => {
+		// Given
+		const card = `<li style="margin:0;padding:0;height:100px;width:100px;"></li>`;
+
+		return this.inst.append(card.repeat(12), 1, {}).then(() => {
+			const items = this.inst.layoutManager.items.concat();
+			const positions = items.map(v => [v.position.x, v.position.y]);
+			const layoutRows = sinon.spy(this.inst.layoutManager.layout, "layoutRows");
+
+			// When
+			return this.inst.insert(8, card, 1, {}).then(e => {
+				const layoutItems = this.inst.layoutManager.items;
+
+				// Then
+				expect(layoutRows.getCall(0).args[0][0]).to.be.equal(items[6]);
+				expect(layoutRows.getCall(0).args[1]).to.be.equal(100);
+				expect(layoutItems.slice(0, 6).map(v => [v.position.x, v.position.y]))
+					.to.deep.equal(positions.slice(0, 6));
+				expect(layoutItems.indexOf(e.target[0])).to.be.equal(8);
+				expect(e.target[0].position.y).to.be.equal(100);
+			});
+		});
+	});
+});
+
+describe("InfiniteGrid layout strategy Test", function() {
+	// places items in a single column, one after another
+	class ListLayout {
+		constructor(options) {
+			this.options = options;
+			this.startPos = 0;
+			this.endPos = 0;
+		}
+		measure(containerWidth) {
+			this.startPos = 0;
+			this.endPos = 0;
+		}
+		append(items) {
+			items.forEach(v => {
+				v.size = v.size || {width: utils.innerWidth(v.el), height: utils.innerHeight(v.el)};
+				v.position = {x: 0, y: this.endPos};
+				this.endPos += v.size.height;
+			});
+		}
+		prepend(items) {
+			for (let i = items.length - 1; i >= 0; i--) {
+				const v = items[i];
+
+				v.size = v.size || {width: utils.innerWidth(v.el), height: utils.innerHeight(v.el)};
+				this.startPos -= v.size.height;
+				v.position = {x: 0, y: this.startPos};
+			}
+		}
+		relayout(items) {
+			this.endPos = this.startPos;
+			this.append(items);
+		}
+		sync(items) {
+			this.startPos = items.length ? items[0].position.y : 0;
+			this.endPos = items.length ?
+				items[items.length - 1].position.y + items[items.length - 1].size.height : 0;
+		}
+		getLogicalSize() {
+			return this.endPos;
+		}
+		getStatus() {
+			return {startPos: this.startPos, endPos: this.endPos};
+		}
+		setStatus(status) {
+			Object.assign(this, status);
+		}
+	}
+
+	setupGrid(this, null, `<ul id="grid"></ul>`);
+
+	it("should use a registered layout", done => {
+		// Given
+		InfiniteGrid.registerLayout("list", ListLayout);
+		this.inst = new InfiniteGrid("#grid", {
+			"layoutType": "list",
+		});
+
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			let y = 0;
+
+			expect(this.layoutManager.layout).to.be.an.instanceof(ListLayout);
+			this.layoutManager.items.forEach(v => {
+				expect(v.position.x).to.be.equal(0);
+				expect(v.position.y).to.be.equal(y);
+				y += v.size.height;
+			});
+			expect(this.el.style.height).to.be.equal(`${y}px`);
+			done();
+		});
+
+		// When
+		this.inst.append(Content.append(10));
+	});
+
+	it("should use a layout class", () => {
+		// When
+		this.inst = new InfiniteGrid("#grid", {
+			"layoutType": ListLayout,
+		});
+
+		// Then
+		expect(this.inst.layoutManager.layout).to.be.an.instanceof(ListLayout);
+	});
+
+	it("should throw an error with an unknown layout", () => {
+		// Then
+		expect(() => new InfiniteGrid("#grid", {
+			"layoutType": "unknown",
+		})).to.throw();
+	});
+});
+
+describe("InfiniteGrid column span Test", function() {
+	function isOverlapped(a, b) {
+		return a.position.x < b.position.x + b.size.width &&
+			b.position.x < a.position.x + a.size.width &&
+			a.position.y < b.position.y + b.size.height &&
+			b.position.y < a.position.y + a.size.height;
+	}
+
+	setupGrid(this, {
+		"count": 40,
+	}, `<div id="wrapper" style="width:400px;"><ul id="grid" style="margin:0;padding:0;"></ul></div>`);
+
+	it("should place items spanning multiple columns without overlapping", done => {
+		// Given
+		const elements = [];
+
+		for (let i = 0; i < 20; i++) {
+			if (i % 5 === 3) {
+				elements.push(`<li style="margin:0;padding:0;width:200px;height:80px;"></li>`);
+			} else if (i % 7 === 6) {
+				elements.push(`<li data-column-span="3" style="margin:0;padding:0;width:300px;height:30px;"></li>`);
+			} else {
+				elements.push(`<li style="margin:0;padding:0;width:100px;height:${40 + (i % 4) * 10}px;"></li>`);
+			}
+		}
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			const items = this.layoutManager.items;
+
+			items.forEach((v, i) => {
+				expect(v.position.x + v.size.width).to.be.at.most(400);
+				items.slice(i + 1).forEach(v2 => {
+					expect(isOverlapped(v, v2)).to.be.false;
+				});
+			});
+			expect(items[3].columnSpan).to.be.equal(2);
+			expect(items[6].columnSpan).to.be.equal(3);
+			done();
+		});
+
+		// When
+		this.inst.append(elements.join(""));
+	});
+});
+
+describe("InfiniteGrid gap Test", function() {
+	setupGrid(this, {
+		"count": 40,
+		"columnGap": 10,
+		"rowGap": 5,
+	}, `<div id="wrapper" style="width:430px;"><ul id="grid" style="margin:0;padding:0;"></ul></div>`);
+
+	it("should place items with gaps between columns and rows", done => {
+		// Given
+		const elements = [];
+
+		for (let i = 0; i < 20; i++) {
+			elements.push(`<li style="margin:0;padding:0;width:100px;height:${40 + (i % 4) * 10}px;"></li>`);
+		}
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			const columns = {};
+			let bottom = 0;
+
+			expect(this.layoutManager.layout.appendCols.length).to.be.equal(4);
+			this.layoutManager.items.forEach(v => {
+				expect(v.position.x % 110).to.be.equal(0);
+				(columns[v.position.x] = columns[v.position.x] || []).push(v);
+				bottom = Math.max(bottom, v.position.y + v.size.height);
+			});
+			for (const x in columns) {
+				columns[x].forEach((v, i) => {
+					const prev = columns[x][i - 1];
+
+					i > 0 && expect(v.position.y).to.be.equal(prev.position.y + prev.size.height + 5);
+				});
+			}
+			expect(this.el.style.height).to.be.equal(`${bottom}px`);
+			done();
+		});
+
+		// When
+		this.inst.append(elements.join(""));
+	});
+});
+
+describe("InfiniteGrid column count Test", function() {
+	setupGrid(this, null, `<div id="wrapper" style="width:600px;"><ul id="grid" style="margin:0;padding:0;"></ul></div>`);
+
+	it("should resize items to the width of columns with the columns option", done => {
+		// Given
+		this.inst = new InfiniteGrid("#grid", {
+			"columns": 3,
+		});
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			expect(this.layoutManager.layout.appendCols.length).to.be.equal(3);
+			this.layoutManager.items.forEach(v => {
+				expect(v.el.style.width).to.be.equal("200px");
+				expect([0, 200, 400]).to.include(v.position.x);
+			});
+			done();
+		});
+
+		// When
+		this.inst.append(Content.append(10));
+	});
+
+	it("should use the number of columns of the matched breakpoint", done => {
+		// Given
+		this.inst = new InfiniteGrid("#grid", {
+			"breakpoints": {0: 1, 500: 2, 700: 3},
+		});
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			expect(this.layoutManager.layout.appendCols.length).to.be.equal(2);
+			this.layoutManager.items.forEach(v => {
+				expect(v.el.style.width).to.be.equal("300px");
+			});
+			done();
+		});
+
+		// When
+		this.inst.append(Content.append(10));
+	});
+
+	it("should not need a relayout if the number of columns is not changed", done => {
+		// Given
+		this.inst = new InfiniteGrid("#grid", {
+			"columnWidth": 100,
+		});
+		this.inst.on("layoutComplete", function(e) {
+			const wrapper = this.el.parentNode;
+
+			// When
+			wrapper.style.width = "650px";
+
+			// Then
+			expect(this.layoutManager.isNeededResize()).to.be.false;
+
+			// When
+			wrapper.style.width = "700px";
+
+			// Then
+			expect(this.layoutManager.isNeededResize()).to.be.true;
+			done();
+		});
+
+		// When
+		this.inst.append(Content.append(10));
+	});
+});
+
+describe("InfiniteGrid RTL Test", function() {
+	setupGrid(this, null, `<div style="width:400px;"><ul id="grid" style="margin:0;padding:0;direction:rtl;"></ul></div>`);
+
+	it("should place columns from the right", done => {
+		// Given
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 30,
+		});
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			expect(this.layoutManager.isRTL).to.be.true;
+			this.layoutManager.items.forEach(v => {
+				expect(v.el.style.left).to.be.equal("");
+				expect(v.el.style.right).to.be.equal(`${v.position.x}px`);
+			});
+			done();
+		});
+
+		// When
+		this.inst.append(Content.append(10));
+	});
+
+	it("should restore the RTL status", done => {
+		// Given
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 30,
+			"isRTL": true,
+		});
+		this.inst.on("layoutComplete", function(e) {
+			const status = this.getStatus();
+
+			this.destroy();
+
+			// When
+			const inst = new InfiniteGrid("#grid", {
+				"count": 30,
+				"isRTL": false,
+			});
+
+			inst.setStatus(status);
+
+			// Then
+			expect(inst.layoutManager.isRTL).to.be.true;
+			inst.layoutManager.items.forEach(v => {
+				expect(v.el.style.right).to.be.equal(`${v.position.x}px`);
+				expect(inst.layoutManager.layout.getColIdx(v)).to.be.equal(v.position.x / inst.layoutManager.layout.size.columnWidth);
+			});
+			inst.destroy();
+			done();
+		});
+
+		// When
+		this.inst.append(Content.append(10));
+	});
+});
+
+describe("InfiniteGrid useTransform Test", function() {
+	setupGrid(this, {
+		"count": 30,
+		"useTransform": true,
+	}, `<ul id="grid"></ul>`);
+
+	it("should position items with transforms in the next animation frame", done => {
+		// Given
+		this.inst.on("layoutComplete", function(e) {
+			// Then
+			this.layoutManager.items.forEach(v => {
+				expect(v.el.style.transform).to.be.equal("");
+			});
+			expect(this.el.style.height).to.be.equal(`${this.layoutManager.getLogicalSize()}px`);
+
+			window.requestAnimationFrame(() => {
+				// Then
+				this.layoutManager.items.forEach(v => {
+					expect(v.el.style.top).to.be.equal("0px");
+					expect(v.el.style.left).to.be.equal("0px");
+					expect(v.el.style.transform).to.be.equal(`translate3d(${v.position.x}px, ${v.position.y}px, 0px)`);
+				});
+				done();
+			});
+		});
+
+		// When
+		this.inst.append(Content.append(10));
+	});
+});
+
+describe("InfiniteGrid transition Test", function() {
+	setupGrid(this, {
+		"count": 30,
+		"transitionDuration": 100,
+	}, `<div style="width:400px;"><ul id="grid" style="margin:0;padding:0;"></ul></div>`);
+
+	it("should fade in added items and move items on relayout", done => {
+		// Given
+		const elements = [];
+
+		for (let i = 0; i < 8; i++) {
+			elements.push(`<li style="margin:0;padding:0;width:100px;height:${40 + i * 10}px;"></li>`);
+		}
+		this.inst.once("layoutComplete", function(e) {
+			// Then
+			e.target.forEach(v => expect(v.el.style.opacity).to.be.equal("0"));
+
+			this.once("transitionEnd", function(e) {
+				// Then
+				expect(e.added.length).to.be.equal(8);
+				expect(e.moved.length).to.be.equal(0);
+				this.layoutManager.items.forEach(v => {
+					expect(v.el.style.opacity).to.be.equal("");
+					expect(v.el.style.transition).to.be.equal("");
+				});
+
+				this.once("transitionEnd", function(e) {
+					// Then
+					expect(e.added.length).to.be.equal(0);
+					expect(e.moved.length).to.be.above(0);
+					e.moved.forEach(v => expect(v.el.style.transform).to.be.equal(""));
+					done();
+				});
+
+				// When
+				this.el.parentNode.style.width = "200px";
+				this.layout(true);
+			});
+		});
+
+		// When
+		this.inst.append(elements.join(""));
+	});
+});
+
+describe("InfiniteGrid data Test", function() {
+	setupGrid(this, {
+		"count": 12,
+		"renderItem": (record, index) =>
+			`<li style="margin:0;padding:0;width:100px;height:${record.height}px;">${index}</li>`,
+	}, `<div style="width:400px;"><ul id="grid" style="margin:0;padding:0;"></ul></div>`);
+	const records = () => {
+		const arr = [];
+
+		for (let i = 0; i < 8; i++) {
+			arr.push({height: 50 + i * 10});
+		}
+		return arr;
+	};
+
+	it("should render records and keep recycled records", done => {
+		// Given
+		this.inst.once("layoutComplete", function() {
+			this.once("layoutComplete", function() {
+				this.once("layoutComplete", function() {
+					// Then
+					const recycled = this._data[0];
+
+					expect(this.getData().length).to.be.equal(24);
+					expect(this.el.children.length).to.be.equal(16);
+					expect(recycled.el).to.be.null;
+					expect(recycled.size).to.be.ok;
+
+					this.once("layoutComplete", function(e) {
+						// Then
+						expect(e.target.length).to.be.equal(8);
+						expect(e.target.map(v => v.data)).to.include(recycled.data);
+						expect(this.el.children.length).to.be.equal(16);
+						expect(this._data[0].el.innerHTML).to.be.equal("0");
+						done();
+					});
+
+					// When
+					expect(this._renderData(false)).to.be.equal(8);
+				});
+				this.appendData(records(), 2);
+			});
+			this.appendData(records(), 1);
+		});
+
+		// When
+		expect(this.inst.appendData(records(), 0)).to.be.equal(8);
+	});
+
+	it("should render records after card elements added with the append() method", done => {
+		// Given
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>`, 0, {}).then(() => {
+			// When
+			const count = this.inst.appendData(records(), 1);
+
+			// Then
+			expect(count).to.be.equal(8);
+			expect(this.inst.el.children.length).to.be.equal(9);
+			done();
+		});
+	});
+
+	it("should not render removed records again", done => {
+		// Given
+		this.inst.once("layoutComplete", () => {
+			const item = this.inst.layoutManager.items[2];
+
+			// When
+			this.inst.remove([item.el], {relayout: true});
+
+			// Then
+			expect(this.inst.getData().length).to.be.equal(7);
+			expect(this.inst.getData()).to.not.include(item.data);
+			expect(this.inst._data.map(v => v.index)).to.deep.equal([0, 1, 2, 3, 4, 5, 6]);
+			done();
+		});
+		this.inst.appendData(records(), 0);
+	});
+
+	it("should render records added while processing after the queued operations", done => {
+		// Given
+		this.inst.appendData(records(), 0);
+
+		// When
+		const count = this.inst.appendData(records(), 1);
+
+		this.inst.once("layoutComplete", function() {
+			this.once("layoutComplete", function(e) {
+				// Then
+				expect(e.target.length).to.be.equal(8);
+				expect(e.target[0].groupKey).to.be.equal(1);
+				expect(this.getData().length).to.be.equal(16);
+				done();
+			});
+		});
+
+		// Then
+		expect(this.inst.isProcessing()).to.be.true;
+		expect(count).to.be.equal(0);
+	});
+
+	it("should render only the records which are not trimmed to keep the number of DOMs", () => {
+		// Given
+		const renderItem = sinon.spy(this.inst.options, "renderItem");
+
+		// When
+		const count = this.inst.appendData(records().concat(records(), records()), 0);
+
+		// Then
+		expect(count).to.be.equal(12);
+		expect(renderItem.callCount).to.be.equal(12);
+		expect(this.inst._data.filter(v => v.el).length).to.be.equal(12);
+	});
+});
+
+describe("InfiniteGrid recycled positions Test", function() {
+	setupGrid(this, {
+		"count": 12,
+	});
+	const group = groupKey => {
+		const arr = [];
+
+		for (let i = 0; i < 8; i++) {
+			arr.push(`<li style="margin:0;padding:0;width:100px;height:${50 + (i * 37 + groupKey * 13) % 70}px;"></li>`);
+		}
+		return arr.join("");
+	};
+	const getPositions = (items, groupKey) => {
+		const groupItems = items.filter(v => v.groupKey === groupKey);
+		const top = Math.min(...groupItems.map(v => v.position.y));
+
+		return groupItems.map(v => `${v.position.x},${v.position.y - top}`);
+	};
+
+	it("should place a prepended group at the positions before it was recycled", done => {
+		// Given
+		let positions;
+
+		this.inst.once("layoutComplete", function() {
+			this.once("layoutComplete", function() {
+				positions = getPositions(this.layoutManager.items, 1);
+				this.once("layoutComplete", function() {
+					this.once("layoutComplete", function() {
+						expect(this.getGroupKeys()).to.not.include(1);
+						expect(this.layoutManager._cache[1].length).to.be.equal(8);
+
+						this.once("layoutComplete", function() {
+							// Then
+							expect(getPositions(this.layoutManager.items, 1)).to.deep.equal(positions);
+							expect(this.layoutManager._cache[1]).to.be.undefined;
+							expect(this.layoutManager.getTopPosition()).to.be.equal(0);
+							done();
+						});
+
+						// When
+						this._fitItems();
+						this.prepend(group(1), 1);
+					});
+					this.append(group(3), 3);
+				});
+				this.append(group(2), 2);
+			});
+			this.append(group(1), 1);
+		});
+		this.inst.append(group(0), 0);
+	});
+
+	it("should clear the cached positions on relayout", done => {
+		// Given
+		this.inst.layoutManager._cache = {
+			1: [],
+		};
+		this.inst.once("layoutComplete", function() {
+			// Then
+			expect(this.layoutManager._cache).to.deep.equal({});
+			done();
+		});
+
+		// When
+		this.inst.layout(true);
+	});
+});
+
+describe("InfiniteGrid placeholder Test", function() {
+	setupGrid(this, {
+		"count": 40,
+		"placeholder": (groupKey, index) =>
+			`<li class="placeholder" style="margin:0;padding:0;width:100px;height:${80 + index * 10}px;"></li>`,
+	});
+
+	it("should replace placeholders with card elements of the same group", done => {
+		// Given
+		let columns;
+
+		this.inst.once("layoutComplete", function() {
+			this.once("layoutComplete", function(e) {
+				columns = e.target.map(v => v.position.x);
+				expect(e.target.every(v => v.isPlaceholder)).to.be.true;
+				expect(this.el.querySelectorAll(".placeholder").length).to.be.equal(4);
+
+				this.once("layoutComplete", function(e) {
+					// Then
+					expect(this.el.querySelectorAll(".placeholder").length).to.be.equal(0);
+					expect(this.layoutManager.items.length).to.be.equal(7);
+					expect(e.target.map(v => v.position.x)).to.deep.equal(columns);
+					done();
+				});
+
+				// When
+				this.append([1, 2, 3, 4].map(() =>
+					`<li style="margin:0;padding:0;width:100px;height:40px;"></li>`).join(""), 1);
+
+				// Then
+				expect(this.el.querySelectorAll(".placeholder").length).to.be.equal(4);
+				expect(this.getGroupKeys()).to.not.include(1);
+			});
+			expect(this.appendPlaceholders(4, 1)).to.be.equal(4);
+		});
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>
+			<li style="margin:0;padding:0;width:100px;height:80px;"></li>
+			<li style="margin:0;padding:0;width:100px;height:110px;"></li>`, 0);
+	});
+
+	it("should not add placeholders without the placeholder option", () => {
+		// Given
+		this.inst.options.placeholder = null;
+
+		// When
+		const count = this.inst.appendPlaceholders(4, 1);
+
+		// Then
+		expect(count).to.be.equal(0);
+		expect(this.inst.isProcessing()).to.be.false;
+	});
+});
+
+describe("InfiniteGrid promise Test", function() {
+	setupGrid(this, {
+		"count": 40,
+	});
+	const createSignal = () => {
+		const listeners = [];
+
+		return {
+			aborted: false,
+			addEventListener: (type, listener) => listeners.push(listener),
+			removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1),
+			abort() {
+				this.aborted = true;
+				listeners.concat().forEach(listener => listener());
+			},
+		};
+	};
+
+	it("should return a promise resolved with the added items", () => {
+		// Given
+		const layoutCompleteHandler = sinon.spy();
+
+		this.inst.on("layoutComplete", layoutCompleteHandler);
+
+		// When
+		return this.inst.append(Content.append(5), 0, {}).then(e => {
+			// Then
+			expect(e.target.length).to.be.equal(5);
+			expect(e.isAppend).to.be.true;
+			expect(e.croppedCount).to.be.equal(0);
+			expect(layoutCompleteHandler.calledOnce).to.be.true;
+			expect(this.inst.isProcessing()).to.be.false;
+		});
+	});
+
+	it("should return a promise if layout is called with options", () => {
+		// When
+		return this.inst.layout(true, {}).then(e => {
+			// Then
+			expect(e.target.length).to.be.equal(0);
+			expect(e.isAppend).to.be.true;
+		});
+	});
+
+	it("should cancel adding card elements while images are being loaded", () => {
+		// Given
+		const signal = createSignal();
+		const layoutCompleteHandler = sinon.spy();
+
+		this.inst.on("layoutComplete", layoutCompleteHandler);
+
+		// When
+		const promise = this.inst.append(Content.append(5, true), 0, {signal});
+
+		expect(this.inst.isProcessing()).to.be.true;
+		signal.abort();
+
+		// Then
+		return promise.then(() => {
+			throw new Error("should be rejected");
+		}, e => {
+			expect(e.name).to.be.equal("AbortError");
+			expect(this.inst.isProcessing()).to.be.false;
+			expect(this.inst.el.children.length).to.be.equal(0);
+			expect(layoutCompleteHandler.called).to.be.false;
+		});
+	});
+
+	it("should restore the card elements removed to keep the number of DOMs when cancelled", () => {
+		// Given
+		const signal = createSignal();
+
+		this.inst.destroy();
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 6,
+		});
+		this.inst.append(Content.append(3), 1);
+		return this.inst.append(Content.append(3), 2, {}).then(() => {
+			const elements = Array.prototype.slice.call(this.inst.el.children);
+			const positions = this.inst.layoutManager.items.map(v => Object.assign({}, v.position));
+			const promise = this.inst.append(Content.append(3, true), 3, {signal});
+
+			expect(this.inst.getGroupKeys()).to.deep.equal([2, 2, 2]);
+
+			// When
+			signal.abort();
+
+			// Then
+			return promise.then(() => {
+				throw new Error("should be rejected");
+			}, e => {
+				expect(e.name).to.be.equal("AbortError");
+				expect(this.inst.getGroupKeys()).to.deep.equal([1, 1, 1, 2, 2, 2]);
+				expect(this.inst.el.children.length).to.be.equal(6);
+				elements.forEach((el, i) => {
+					expect(this.inst.el.children[i]).to.be.equal(el);
+				});
+				expect(this.inst.layoutManager.items.map(v => v.position)).to.deep.equal(positions);
+			});
+		});
+	});
+
+	it("should arrange the layout requested while adding card elements after them", () => {
+		// Given
+		const appendPromise = this.inst.append(Content.append(5, true), 0, {});
+		const images = Array.prototype.slice.call(this.inst.el.querySelectorAll("img"));
+
+		// When
+		const layoutPromise = this.inst.layout(true, {});
+
+		images.forEach(image => {
+			const event = document.createEvent("Event");
+
+			// the images are not waited for again after they are loaded
+			image.parentNode.removeChild(image);
+			event.initEvent("load", false, false);
+			image.dispatchEvent(event);
+		});
+
+		// Then
+		expect(this.inst.getStatus().queueLength).to.be.equal(1);
+		return Promise.all([appendPromise, layoutPromise]).then(([e]) => {
+			const dummy = `${-this.inst._status.clientHeight}px`;
+
+			expect(e.target.length).to.be.equal(5);
+			expect(this.inst.layoutManager.items.length).to.be.equal(5);
+			e.target.forEach(v => {
+				expect(v.el.style.top).to.not.equal(dummy);
+			});
+			expect(this.inst.isProcessing()).to.be.false;
+		});
+	});
+
+	it("should stop waiting for images and reject the promise when cleared", () => {
+		// Given
+		const layoutCompleteHandler = sinon.spy();
+
+		this.inst.on("layoutComplete", layoutCompleteHandler);
+		const promise = this.inst.append(Content.append(5, true), 0, {});
+		const images = Array.prototype.slice.call(this.inst.el.querySelectorAll("img"));
+
+		// When
+		this.inst.clear();
+		images.forEach(image => {
+			const event = document.createEvent("Event");
+
+			event.initEvent("load", false, false);
+			image.dispatchEvent(event);
+		});
+
+		// Then
+		return promise.then(() => {
+			throw new Error("should be rejected");
+		}, e => {
+			expect(e.name).to.be.equal("AbortError");
+			expect(images.length).to.be.above(0);
+			expect(this.inst.layoutManager.items.length).to.be.equal(0);
+			expect(layoutCompleteHandler.called).to.be.false;
+		});
+	});
+
+	it("should not add card elements if the signal is already aborted", () => {
+		// Given
+		const signal = createSignal();
+
+		signal.abort();
+
+		// When
+		return this.inst.append(Content.append(5), 0, {signal}).then(() => {
+			throw new Error("should be rejected");
+		}, e => {
+			// Then
+			expect(e.name).to.be.equal("AbortError");
+			expect(this.inst.el.children.length).to.be.equal(0);
+		});
+	});
+});
+
+describe("InfiniteGrid queue Test", function() {
+	setupGrid(this, {
+		"count": 40,
+	});
+
+	it("should queue card elements added while processing", done => {
+		// Given
+		const groups = [];
+
+		this.inst.on("layoutComplete", function(e) {
+			groups.push(`${e.target[0].groupKey}:${e.target.length}`);
+			if (groups.length < 3) {
+				return;
+			}
+
+			// Then
+			expect(groups).to.deep.equal(["0:2", "1:7", "2:1"]);
+			expect(this.layoutManager.items.length).to.be.equal(10);
+			expect(this.getStatus().queueLength).to.be.equal(0);
+			done();
+		});
+
+		// When
+		expect(this.inst.append(Content.append(2), 0)).to.be.equal(2);
+		expect(this.inst.append(Content.append(3), 1)).to.be.equal(3);
+		expect(this.inst.append(Content.append(4), 1)).to.be.equal(4);
+		expect(this.inst.append(Content.append(1), 2)).to.be.equal(1);
+
+		// Then
+		expect(this.inst.isProcessing()).to.be.true;
+		expect(this.inst.getStatus().queueLength).to.be.equal(2);
+	});
+
+	it("should remove a card element after queued operations", done => {
+		// Given
+		this.inst.once("layoutComplete", function() {
+			const element = this.el.children[0];
+
+			this.append(Content.append(3), 1);
+
+			// When
+			const removed = this.remove(element);
+
+			// Then
+			expect(removed).to.be.null;
+			expect(this.getStatus().queueLength).to.be.equal(1);
+			this.once("layoutComplete", function() {
+				expect(this.layoutManager.items.length).to.be.equal(4);
+				expect(element.parentNode).to.be.null;
+				done();
+			});
+		});
+		this.inst.append(Content.append(2), 0);
+	});
+
+	it("should cancel queued operations when cleared", () => {
+		// Given
+		this.inst.append(Content.append(2), 0);
+		const promise = this.inst.append(Content.append(2), 1, {});
+
+		// When
+		this.inst.clear();
+
+		// Then
+		expect(this.inst.getStatus().queueLength).to.be.equal(0);
+		return promise.then(() => {
+			throw new Error("should be rejected");
+		}, e => {
+			expect(e.name).to.be.equal("AbortError");
+		});
+	});
+});
+
+describe("InfiniteGrid resourceTimeout Test", function() {
+	setupGrid(this, {
+		"count": 40,
+		"resourceTimeout": 100,
+	});
+	// images which never load
+	const getImages = el => [].concat(el).reduce((images, v) =>
+		images.concat(Array.prototype.slice.call(v.querySelectorAll("img"))), []);
+	afterEach(() => {
+		ImageLoaded.checkImageLoaded.restore && ImageLoaded.checkImageLoaded.restore();
+	});
+
+	it("should arrange a layout after the timeout if images are not loaded", done => {
+		// Given
+		const imageErrorHandler = sinon.spy();
+
+		sinon.stub(ImageLoaded, "checkImageLoaded").callsFake(getImages);
+		this.inst.on("imageError", imageErrorHandler);
+		this.inst.once("layoutComplete", function(e) {
+			// Then
+			const param = imageErrorHandler.getCall(0).args[0];
+
+			expect(imageErrorHandler.calledOnce).to.be.true;
+			expect(param.target.tagName).to.be.equal("IMG");
+			expect(param.element).to.be.equal(e.target[0].el);
+			expect(param.item).to.be.equal(e.target[0]);
+			expect(param.groupKey).to.be.equal(3);
+			expect(param.isTimeout).to.be.true;
+			expect(this.isProcessing()).to.be.false;
+			done();
+		});
+
+		// When
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"><img></li>`, 3);
+	});
+
+	it("should fire the imageError event if an image fails to load", done => {
+		// Given
+		sinon.stub(ImageLoaded, "checkImageLoaded").callsFake(getImages);
+		this.inst.on("imageError", e => {
+			// Then
+			expect(e.isTimeout).to.be.false;
+			expect(e.groupKey).to.be.equal(1);
+			done();
+		});
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"><img></li>`, 1);
+
+		// When
+		const event = document.createEvent("Event");
+
+		event.initEvent("error", false, false);
+		this.inst.el.querySelector("img").dispatchEvent(event);
+	});
+});
+
+describe("InfiniteGrid resource scope Test", function() {
+	setupGrid(this, {
+		"count": 40,
+	});
+	beforeEach(() => {
+		// images which never load unless the load event is fired
+		sinon.stub(ImageLoaded, "checkImageLoaded").callsFake(el => [].concat(el).reduce((images, v) =>
+			images.concat(Array.prototype.slice.call(v.querySelectorAll("img")).filter(img => !img.loaded)), []));
+	});
+	afterEach(() => {
+		ImageLoaded.checkImageLoaded.restore();
+	});
+	const load = img => {
+		const event = document.createEvent("Event");
+
+		img.loaded = true;
+		event.initEvent("load", false, false);
+		img.dispatchEvent(event);
+	};
+
+	it("should not wait for images which are not in added card elements", done => {
+		// Given
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"><img class="old"></li>`, 0);
+		load(this.inst.el.querySelector(".old"));
+		this.inst.once("layoutComplete", function() {
+			// an image which is not loaded in the layout
+			this.el.querySelector(".old").loaded = false;
+			this.once("layoutComplete", function(e) {
+				// Then
+				expect(e.target.length).to.be.equal(1);
+				done();
+			});
+
+			// When
+			this.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>`, 1);
+		});
+	});
+
+	it("should arrange each card element as soon as its images are loaded (isProgressive)", done => {
+		// Given
+		this.inst.options.isProgressive = true;
+		this.inst.append(`<li class="first" style="margin:0;padding:0;width:100px;height:50px;"><img></li>
+			<li class="second" style="margin:0;padding:0;width:100px;height:50px;"></li>`, 0);
+
+		setTimeout(() => {
+			// Then
+			expect(this.inst.isProcessing()).to.be.true;
+			expect(this.inst.layoutManager.items.length).to.be.equal(1);
+			expect(this.inst.layoutManager.items[0].el.className).to.be.equal("second");
+
+			this.inst.once("layoutComplete", e => {
+				// Then
+				expect(e.target.length).to.be.equal(2);
+				expect(this.inst.layoutManager.items.length).to.be.equal(2);
+				expect(this.inst.isProcessing()).to.be.false;
+				done();
+			});
+
+			// When
+			load(this.inst.el.querySelector(".first img"));
+		}, 50);
+	});
+
+	it("should keep the items in the order of the card elements when they are arranged progressively", done => {
+		// Given
+		this.inst.options.isProgressive = true;
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>`, 0);
+		this.inst.once("layoutComplete", () => {
+			this.inst.append(`<li class="first" style="margin:0;padding:0;width:100px;height:50px;"><img></li>
+				<li class="second" style="margin:0;padding:0;width:100px;height:50px;"><img></li>
+				<li class="third" style="margin:0;padding:0;width:100px;height:50px;"></li>`, 1);
+
+			setTimeout(() => {
+				load(this.inst.el.querySelector(".second img"));
+				setTimeout(() => {
+					this.inst.once("layoutComplete", () => {
+						// Then
+						const children = [].slice.call(this.inst.el.children)
+							.filter(el => el.tagName === "LI");
+
+						expect(this.inst.layoutManager.items.map(v => v.el)).to.deep.equal(children);
+						done();
+					});
+
+					// When
+					load(this.inst.el.querySelector(".first img"));
+				}, 50);
+			}, 50);
+		});
+	});
+});
+
+describe("InfiniteGrid intrinsic size Test", function() {
+	setupGrid(this);
+
+	it("should arrange card elements with the size attributes without waiting for images", done => {
+		// Given
+		const checkSpy = sinon.spy(ImageLoaded, "checkImageLoaded");
+
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 40,
+		});
+		this.inst.once("layoutComplete", e => {
+			// Then
+			const images = checkSpy.getCall(0).args[0];
+
+			checkSpy.restore();
+			expect(images.length).to.be.equal(0);
+			expect(e.target.map(v => v.size.height)).to.deep.equal([150, 50, 200]);
+			expect(e.target[0].el.querySelector("img").style.height).to.be.equal("150px");
+			expect(e.target[2].el.style.height).to.be.equal("200px");
+			done();
+		});
+
+		// When
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;"><img src="none.jpg" style="display:block;width:100%;" data-width="200" data-height="300"></li>
+			<li style="margin:0;padding:0;width:100px;"><img src="none.jpg" style="display:block;" width="100" height="50"></li>
+			<li style="margin:0;padding:0;width:100px;" data-width="1" data-height="2"><img src="none.jpg"></li>`);
+	});
+
+	it("should size only the image and measure the card element with its caption", done => {
+		// Given
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 40,
+		});
+		this.inst.once("layoutComplete", e => {
+			// Then
+			const el = e.target[0].el;
+
+			expect(e.target[0].size.height).to.be.equal(170);
+			expect(el.style.height).to.be.equal("");
+			expect(el.querySelector("img").style.height).to.be.equal("150px");
+			expect(e.target[1].position.y).to.be.equal(170);
+			done();
+		});
+
+		// When
+		this.inst.append(`<li style="margin:0;padding:0;width:300px;"><img src="none.jpg" style="display:block;width:100px;" data-width="200" data-height="300"><p style="margin:0;height:20px;">caption</p></li>
+			<li style="margin:0;padding:0;width:300px;height:10px;"></li>`);
+	});
+
+	it("should clear the size of the image when it fails to load", done => {
+		// Given
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 40,
+		});
+		this.inst.once("layoutComplete", e => {
+			const image = e.target[0].el.querySelector("img");
+			const event = document.createEvent("Event");
+
+			// When
+			event.initEvent("error", false, false);
+			image.dispatchEvent(event);
+
+			// Then
+			expect(image.style.height).to.be.equal("");
+			done();
+		});
+
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;"><img src="none.jpg" style="display:block;width:100%;" data-width="200" data-height="300"></li>`);
+	});
+
+	it("should use the size from the itemSize option in the justified layout", done => {
+		// Given
+		const itemSize = sinon.spy(() => ({width: 300, height: 100}));
+
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 40,
+			"layoutType": "justified",
+			"rowSize": 100,
+			itemSize,
+		});
+		this.inst.once("layoutComplete", e => {
+			// Then
+			expect(itemSize.callCount).to.be.equal(2);
+			expect(itemSize.getCall(0).args[0]).to.be.equal(e.target[0].el);
+			e.target.forEach(v => {
+				expect(v.size.width).to.be.equal(300);
+				expect(v.size.height).to.be.equal(100);
+			});
+			done();
+		});
+
+		// When
+		this.inst.append(`<li><img src="none.jpg"></li><li><img src="none.jpg"></li>`);
+	});
+});
+
+describe("InfiniteGrid media resource Test", function() {
+	setupGrid(this, {
+		"count": 40,
+	});
+	it("should check videos, iframes and background images", () => {
+		// Given
+		const el = document.createElement("li");
+
+		el.innerHTML = `<video src="none.mp4"></video><video preload="none" src="none.mp4"></video>
+			<iframe src="none.html"></iframe><div style="background-image:url('none-${Date.now()}.jpg')"></div>`;
+
+		// When
+		const resources = ImageLoaded.checkImageLoaded(el);
+		const addedResources = ImageLoaded.checkImageLoaded(el, {iframe: true});
+
+		// Then
+		expect(resources.map(v => v.tagName)).to.deep.equal(["VIDEO", "DIV"]);
+		expect(addedResources.map(v => v.tagName)).to.deep.equal(["VIDEO", "IFRAME", "DIV"]);
+	});
+
+	it("should not check media without a source and iframes which may not fire the load event", () => {
+		// Given
+		const el = document.createElement("li");
+
+		el.innerHTML = `<video poster="none.jpg"></video><audio></audio>
+			<iframe></iframe><iframe src="about:blank"></iframe><iframe src="none.html" loading="lazy"></iframe>`;
+
+		// When
+		const resources = ImageLoaded.checkImageLoaded(el, {iframe: true});
+
+		// Then
+		expect(resources.length).to.be.equal(0);
+	});
+
+	it("should arrange card elements with media without a source", done => {
+		// Given
+		this.inst.once("layoutComplete", e => {
+			// Then
+			expect(e.target.length).to.be.equal(3);
+			expect(this.inst.isProcessing()).to.be.false;
+			done();
+		});
+
+		// When
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;"><video poster="none.jpg"></video></li>
+			<li style="margin:0;padding:0;width:100px;"><video></video></li>
+			<li style="margin:0;padding:0;width:100px;"><iframe></iframe></li>`);
+	});
+
+	it("should stop waiting for a video whose sources fail to load", done => {
+		// Given
+		const imageErrorHandler = sinon.spy();
+
+		this.inst.on("imageError", imageErrorHandler);
+		this.inst.once("layoutComplete", e => {
+			// Then
+			expect(e.target.length).to.be.equal(1);
+			expect(imageErrorHandler.calledOnce).to.be.true;
+			expect(imageErrorHandler.args[0][0].target.tagName).to.be.equal("VIDEO");
+			done();
+		});
+
+		// When
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;"><video>
+			<source src="none-${Date.now()}.webm" type="video/webm"><source src="none-${Date.now()}.mp4" type="video/mp4">
+			</video></li>`);
+	});
+
+	it("should wait for iframes of added card elements", done => {
+		// Given
+		const loadHandler = sinon.spy();
+
+		this.inst.once("layoutComplete", e => {
+			// Then
+			expect(e.target.length).to.be.equal(1);
+			expect(loadHandler.calledOnce).to.be.true;
+			done();
+		});
+
+		// When
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;"><iframe src="none.html"></iframe></li>`);
+		this.inst.el.querySelector("iframe").addEventListener("load", loadHandler);
+	});
+});
+
+describe("InfiniteGrid resize observer Test", function() {
+	setupGrid(this, {
+		"count": 40,
+		"useResizeObserver": true,
+	});
+
+	it("should move only items below a resized item", done => {
+		// Given
+		const items = [50, 55, 60, 65, 70, 75, 80, 85, 90].map(height =>
+			`<li style="margin:0;padding:0;width:100px;height:${height}px;"></li>`).join("");
+
+		this.inst.once("layoutComplete", () => {
+			const layoutItems = this.inst.layoutManager.items;
+			const positions = layoutItems.map(item => item.position.y);
+			const containerHeight = parseFloat(this.inst.el.style.height);
+
+			// When
+			layoutItems[1].el.style.height = "100px";
+
+			setTimeout(() => {
+				// Then
+				layoutItems.forEach((item, i) => {
+					// items below the resized item in the same column
+					const offset = i === 4 || i === 7 ? 45 : 0;
+
+					expect(item.position.y).to.be.equal(positions[i] + offset);
+				});
+				expect(layoutItems[7].el.style.top).to.be.equal(`${positions[7] + 45}px`);
+				expect(parseFloat(this.inst.el.style.height)).to.be.equal(containerHeight + 30);
+				done();
+			}, RESIZE_POLLING_INTERVAL + 100);
+		});
+		this.inst.append(items);
+	});
+
+	it("should not observe items if useResizeObserver is false", done => {
+		// Given
+		this.inst.destroy();
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 40,
+		});
+		this.inst.once("layoutComplete", () => {
+			const item = this.inst.layoutManager.items[0];
+			const nextY = this.inst.layoutManager.items[3].position.y;
+
+			// When
+			item.el.style.height = "100px";
+
+			setTimeout(() => {
+				// Then
+				expect(this.inst.layoutManager.items[3].position.y).to.be.equal(nextY);
+				done();
+			}, RESIZE_POLLING_INTERVAL + 100);
+		});
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>
+			<li style="margin:0;padding:0;width:100px;height:50px;"></li>
+			<li style="margin:0;padding:0;width:100px;height:50px;"></li>
+			<li style="margin:0;padding:0;width:100px;height:50px;"></li>`);
+	});
+
+	it("should observe only added items and unobserve removed items", done => {
+		// Given
+		const NativeResizeObserver = window.ResizeObserver;
+		const observe = sinon.spy();
+		const unobserve = sinon.spy();
+		const getCards = count => {
+			let html = "";
+
+			for (let i = 0; i < count; i++) {
+				html += `<li style="margin:0;padding:0;width:100px;height:50px;"></li>`;
+			}
+			return html;
+		};
+
+		window.ResizeObserver = class {
+			observe(target) {
+				observe(target);
+			}
+			unobserve(target) {
+				unobserve(target);
+			}
+			disconnect() {}
+		};
+		this.inst.append(getCards(3), 1, {}).then(() => this.inst.append(getCards(2), 2, {})).then(() => {
+			const el = this.inst.layoutManager.items[0].el;
+
+			// When
+			this.inst.remove(el);
+
+			// Then
+			window.ResizeObserver = NativeResizeObserver;
+			expect(observe.callCount).to.be.equal(5);
+			expect(unobserve.callCount).to.be.equal(1);
+			expect(unobserve.args[0][0]).to.be.equal(el);
+			done();
+		}).catch(e => {
+			window.ResizeObserver = NativeResizeObserver;
+			done(e);
+		});
+	});
+});
+
+describe("InfiniteGrid IntersectionObserver Test", function() {
+	const NativeIntersectionObserver = window.IntersectionObserver;
+	let observers;
+
+	beforeEach(() => {
+		observers = [];
+		window.IntersectionObserver = class {
+			constructor(callback, options) {
+				this.callback = callback;
+				this.options = options;
+				this.targets = [];
+				observers.push(this);
+			}
+			observe(target) {
+				this.targets.push(target);
+			}
+			disconnect() {
+				this.targets = [];
+			}
+			notify(index, isIntersecting) {
+				this.callback([{target: this.targets[index], isIntersecting}]);
+			}
+		};
+	});
+	afterEach(() => {
+		window.IntersectionObserver = NativeIntersectionObserver;
+	});
+	setupGrid(this, {
+		"count": 40,
+		"threshold": 100,
+		"useIntersectionObserver": true,
+	});
+
+	it("should place sentinels at the edges of the layout", done => {
+		// Given
+		const items = [50, 60, 70, 80, 90, 100].map(height =>
+			`<li style="margin:0;padding:0;width:100px;height:${height}px;"></li>`).join("");
+
+		this.inst.once("layoutComplete", () => {
+			const observer = observers[0];
+
+			// Then
+			expect(observer.options.rootMargin).to.be.equal("100px 0px");
+			expect(observer.targets.map(v => [v.style.top, v.style.height])).to.deep.equal([
+				["0px", "50px"],
+				["70px", "100px"],
+			]);
+			expect(observer.targets.every(v => v.parentNode === this.inst.el)).to.be.true;
+			expect(this.inst.getStatus().html.indexOf("position:absolute")).to.be.equal(-1);
+			done();
+		});
+
+		// When
+		this.inst.append(items);
+	});
+
+	it("should fire the append event when the bottom sentinel is intersecting", done => {
+		// Given
+		const appendHandler = sinon.spy();
+		const prependHandler = sinon.spy();
+
+		this.inst.on({
+			append: appendHandler,
+			prepend: prependHandler,
+		});
+		this.inst.once("layoutComplete", () => {
+			const observer = observers[0];
+
+			// When
+			observer.notify(0, true);
+			observer.notify(1, false);
+			observer.notify(1, true);
+
+			// Then
+			expect(appendHandler.callCount).to.be.equal(1);
+			// the top card element is not recycled
+			expect(prependHandler.called).to.be.false;
+			done();
+		});
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>`);
+	});
+
+	it("should place sentinels again after the items are fitted when prepending", done => {
+		this.inst.once("layoutComplete", () => {
+			// Given
+			const observeEdges = sinon.spy(this.inst, "_observeEdges");
+
+			sinon.stub(this.inst, "_fitItems").returns(30);
+
+			// When
+			this.inst._requestPrepend(100);
+
+			// Then
+			expect(observeEdges.calledOnce).to.be.true;
+			expect(observeEdges.calledAfter(this.inst._fitItems)).to.be.true;
+			done();
+		});
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>`);
+	});
+
+	it("should remove sentinels when it is destroyed", done => {
+		this.inst.once("layoutComplete", () => {
+			// When
+			this.inst.destroy();
+
+			// Then
+			expect(this.inst.el.children.length).to.be.equal(1);
+			this.inst = null;
+			done();
+		});
+		this.inst.append(`<li style="margin:0;padding:0;width:100px;height:50px;"></li>`);
+	});
+});
+
+describe("InfiniteGrid visible items Test", function() {
+	setupGrid(this, {
+		"count": 40,
+		"container": "#scroller",
+	}, SCROLLER_HTML);
+	const getCards = count => {
+		let html = "";
+
+		for (let i = 0; i < count; i++) {
+			html += `<li style="margin:0;padding:0;width:100px;height:200px;"></li>`;
+		}
+		return html;
+	};
+
+	it("should return card elements in the scroll area with the visible ratio", done => {
+		this.inst.once("layoutComplete", () => {
+			// When
+			const visibleItems = this.inst.getVisibleItems();
+
+			// Then
+			expect(visibleItems.length).to.be.equal(6);
+			visibleItems.forEach(v => {
+				expect(v.element).to.be.equal(v.item.el);
+				expect(v.groupKey).to.be.equal(1);
+				expect(v.ratio).to.be.equal(1);
+			});
+			done();
+		});
+		this.inst.append(getCards(12), 1);
+	});
+
+	it("should fire the visibleChange event when card elements appear or disappear", done => {
+		// Given
+		const handler = sinon.spy();
+
+		this.inst.on("visibleChange", handler);
+		this.inst.once("layoutComplete", () => {
+			// Then
+			expect(handler.callCount).to.be.equal(1);
+			expect(handler.args[0][0].visible.length).to.be.equal(6);
+			expect(handler.args[0][0].hidden.length).to.be.equal(0);
+
+			this.inst.once("visibleChange", e => {
+				// Then
+				expect(e.visible.map(v => v.item.position.y)).to.deep.equal([400, 400, 400, 600, 600, 600]);
+				expect(e.hidden.map(v => v.item.position.y)).to.deep.equal([0, 0, 0]);
+				expect(e.items.map(v => v.ratio)).to.deep.equal([0.5, 0.5, 0.5, 1, 1, 1, 0.5, 0.5, 0.5]);
+				done();
+			});
+
+			// When
+			this.inst.view.scrollTop = 300;
+		});
+		this.inst.append(getCards(12), 1);
+	});
+});
+
+describe("InfiniteGrid scrollTo Test", function() {
+	setupGrid(this, {
+		"count": 40,
+		"container": "#scroller",
+	}, SCROLLER_HTML);
+	const getCards = count => {
+		let html = "";
+
+		for (let i = 0; i < count; i++) {
+			html += `<li style="margin:0;padding:0;width:100px;height:200px;"></li>`;
+		}
+		return html;
+	};
+
+	it("should scroll to a card element with the alignment", done => {
+		this.inst.once("layoutComplete", () => {
+			const view = this.inst.view;
+
+			// When
+			// Then
+			expect(this.inst.scrollToItem(6)).to.be.true;
+			expect(view.scrollTop).to.be.equal(400);
+			expect(this.inst.scrollToItem(this.inst.layoutManager.items[6].el, {align: "center"})).to.be.true;
+			expect(view.scrollTop).to.be.equal(300);
+			expect(this.inst.scrollToItem(6, {align: "end"})).to.be.true;
+			expect(view.scrollTop).to.be.equal(200);
+			expect(this.inst.scrollToItem(document.createElement("li"))).to.be.false;
+			expect(view.scrollTop).to.be.equal(200);
+			done();
+		});
+		this.inst.append(getCards(12));
+	});
+
+	it("should keep the scroll position of the other axis", done => {
+		// Given
+		const view = this.inst.view;
+
+		view.style.overflowX = "scroll";
+		view.insertAdjacentHTML("beforeend", `<div style="width:600px;height:1px;"></div>`);
+		this.inst.once("layoutComplete", () => {
+			view.scrollLeft = 100;
+
+			// When
+			this.inst.scrollToItem(6);
+
+			// Then
+			expect(view.scrollTop).to.be.equal(400);
+			expect(view.scrollLeft).to.be.equal(100);
+			done();
+		});
+		this.inst.append(getCards(12));
+	});
+
+	it("should scroll to the top card element of a group", done => {
+		this.inst.append(getCards(6), 1);
+		this.inst.append(getCards(6), 2, {}).then(() => {
+			// When
+			const result = this.inst.scrollToGroup(2);
+
+			// Then
+			expect(result).to.be.true;
+			expect(this.inst.view.scrollTop).to.be.equal(400);
+			done();
+		});
+	});
+
+	it("should fire the restoreGroup event and scroll after the group is restored", done => {
+		// Given
+		const restoreGroupHandler = sinon.spy(e => {
+			this.inst.append(getCards(3), e.groupKey);
+		});
+
+		this.inst.on("restoreGroup", restoreGroupHandler);
+		this.inst.append(getCards(12), 1, {}).then(() => {
+			this.inst.once("layoutComplete", () => {
+				// Then
+				expect(this.inst.view.scrollTop).to.be.equal(600);
+				done();
+			});
+
+			// When
+			const result = this.inst.scrollToGroup(5, {align: "end"});
+
+			// Then
+			expect(result).to.be.false;
+			expect(restoreGroupHandler.calledOnce).to.be.true;
+			expect(restoreGroupHandler.args[0][0].groupKey).to.be.equal(5);
+		});
+	});
+
+	it("should not scroll to the group restored after the first layout following the restoreGroup event", done => {
+		// Given
+		this.inst.once("restoreGroup", () => {
+			this.inst.append(getCards(3), 2);
+		});
+		this.inst.append(getCards(12), 1, {}).then(() => {
+			this.inst.scrollToGroup(5);
+			this.inst.once("layoutComplete", () => {
+				// When
+				this.inst.append(getCards(3), 5, {}).then(() => {
+					// Then
+					expect(this.inst.view.scrollTop).to.be.equal(0);
+					done();
+				});
+			});
+		});
+	});
+
+	it("should not scroll to the group restored after the user scrolls", done => {
+		// Given
+		this.inst.append(getCards(12), 1, {}).then(() => {
+			this.inst.scrollToGroup(5);
+			this.inst.view.addEventListener("scroll", () => {
+				// When
+				this.inst.append(getCards(3), 5, {}).then(() => {
+					// Then
+					expect(this.inst.view.scrollTop).to.be.equal(100);
+					done();
+				});
+			}, {once: true});
+			this.inst.view.scrollTop = 100;
+		});
+	});
+});
+
+describe("InfiniteGrid insert Test", function() {
+	setupGrid(this, {
+		"count": 40,
+	});
+	const getCards = (count, height = 100) => {
+		let html = "";
+
+		for (let i = 0; i < count; i++) {
+			html += `<li style="margin:0;padding:0;width:100px;height:${height}px;"></li>`;
+		}
+		return html;
+	};
+	const getPositions = items => items.map(v => [v.position.x, v.position.y]);
+
+	it("should insert card elements and arrange only the card elements after them", done => {
+		// Given
+		this.inst.append(getCards(6), 1);
+		this.inst.append(getCards(3), 2, {}).then(() => {
+			const items = this.inst.layoutManager.items.concat();
+			const positions = getPositions(items);
+
+			// When
+			const count = this.inst.insert(4, getCards(1, 50));
+
+			this.inst.once("layoutComplete", e => {
+				const layoutItems = this.inst.layoutManager.items;
+				const inserted = e.target[0];
+
+				// Then
+				expect(count).to.be.equal(1);
+				expect(layoutItems.indexOf(inserted)).to.be.equal(4);
+				expect(inserted.el.previousSibling).to.be.equal(items[3].el);
+				// the group key of the card element before the position is used
+				expect(inserted.groupKey).to.be.equal(1);
+				expect(getPositions(layoutItems.slice(0, 4))).to.deep.equal(positions.slice(0, 4));
+				expect(getPositions([inserted])).to.deep.equal([[100, 100]]);
+				expect(getPositions(layoutItems.slice(5))).to.deep.equal([
+					[200, 100], [100, 150], [0, 200], [200, 200], [100, 250],
+				]);
+				expect(this.inst.el.style.height).to.be.equal("350px");
+				done();
+			});
+		});
+	});
+
+	it("should insert card elements of another group after the group", done => {
+		// Given
+		this.inst.append(getCards(6), 1);
+		this.inst.append(getCards(3), 2, {}).then(() => {
+			const target = this.inst.layoutManager.items[2].el;
+
+			// When
+			this.inst.insert(target, getCards(1), 3, {}).then(e => {
+				// Then
+				expect(this.inst.layoutManager.items.indexOf(e.target[0])).to.be.equal(6);
+				expect(this.inst.getGroupKeys()).to.deep.equal([1, 1, 1, 1, 1, 1, 3, 2, 2, 2]);
+				done();
+			});
+		});
+	});
+
+	it("should queue card elements to be inserted while processing", done => {
+		// Given
+		this.inst.append(getCards(3), 1);
+
+		// When
+		const promise = this.inst.insert(0, getCards(1), 0, {});
+
+		// Then
+		expect(this.inst.getStatus().queueLength).to.be.equal(1);
+		promise.then(e => {
+			expect(this.inst.layoutManager.items[0]).to.be.equal(e.target[0]);
+			expect(this.inst.getGroupKeys()).to.deep.equal([0, 1, 1, 1]);
+			done();
+		});
+	});
+
+	it("should resolve a queued insertion whose target is removed before it", () => {
+		// Given
+		this.inst.append(getCards(3), 1);
+		const target = this.inst.el.children[1];
+
+		this.inst.remove(target);
+
+		// When
+		const promise = this.inst.insert(target, getCards(1), 1, {});
+
+		// Then
+		expect(this.inst.getStatus().queueLength).to.be.equal(2);
+		return promise.then(e => {
+			expect(e.target.length).to.be.equal(0);
+			expect(this.inst.layoutManager.items.length).to.be.equal(2);
+			expect(this.inst.el.children.length).to.be.equal(2);
+		});
+	});
+
+	it("should keep the number of card elements by removing the groups at the top", () => {
+		// Given
+		this.inst.destroy();
+		this.inst = new InfiniteGrid("#grid", {
+			"count": 6,
+		});
+		this.inst.append(getCards(3), 1);
+		this.inst.append(getCards(3), 2);
+		return this.inst.append(getCards(3), 3, {}).then(() => {
+			const items = this.inst.layoutManager.items.concat();
+
+			// When
+			return this.inst.insert(4, getCards(3), 3, {}).then(e => {
+				const layoutItems = this.inst.layoutManager.items;
+
+				// Then
+				expect(e.croppedCount).to.be.equal(3);
+				expect(this.inst.el.children.length).to.be.equal(6);
+				expect(this.inst.getGroupKeys()).to.deep.equal([3, 3, 3, 3, 3, 3]);
+				expect(layoutItems.indexOf(e.target[0])).to.be.equal(1);
+				expect(layoutItems[0]).to.be.equal(items[3]);
+				expect(getPositions(layoutItems)).to.deep.equal([
+					[0, 200], [100, 200], [200, 200], [0, 300], [100, 300], [200, 300],
+				]);
+			});
+		});
+	});
+
+	it("should not insert card elements before an element which is not maintained", () => {
+		// When
+		const count = this.inst.insert(document.createElement("li"), getCards(1));
+
+		// Then
+		expect(count).to.be.equal(0);
+		expect(this.inst.el.children.length).to.be.equal(0);
+	});
+});
+
+describe("InfiniteGrid remove Test", function() {
+	setupGrid(this, {
+		"count": 40,
+	});
+	const getCards = heights => heights.map(height =>
+		`<li style="margin:0;padding:0;width:100px;height:${height}px;"></li>`).join("");
+	const getPositions = items => items.map(v => [v.position.x, v.position.y]);
+
+	it("should leave the space of removed card elements without the relayout option", done => {
+		// Given
+		const removeHandler = sinon.spy();
+
+		this.inst.on("remove", removeHandler);
+		this.inst.append(getCards([100, 110, 120, 130, 140, 150]), 1, {}).then(() => {
+			const items = this.inst.layoutManager.items.concat();
+			const positions = getPositions(items);
+			const height = this.inst.el.style.height;
+
+			// When
+			const removed = this.inst.remove(items[1].el);
+
+			// Then
+			expect(removed.el).to.be.equal(items[1].el);
+			expect(items[1].el.parentNode).to.be.null;
+			expect(getPositions(this.inst.layoutManager.items))
+				.to.deep.equal(positions.filter((v, i) => i !== 1));
+			expect(this.inst.el.style.height).to.be.equal(height);
+			expect(removeHandler.calledOnce).to.be.true;
+			expect(removeHandler.args[0][0].target[0].el).to.be.equal(items[1].el);
+			expect(removeHandler.args[0][0].isRelayout).to.be.false;
+			done();
+		});
+	});
+
+	it("should arrange only the card elements after removed card elements with the relayout option", done => {
+		// Given
+		this.inst.append(getCards([100, 110, 120, 130, 140, 150]), 1);
+		this.inst.append(getCards([100, 100, 100]), 2, {}).then(() => {
+			const items = this.inst.layoutManager.items.concat();
+
+			// When
+			const removed = this.inst.remove([items[3].el, items[4].el], {relayout: true});
+
+			// Then
+			expect(removed.length).to.be.equal(2);
+			expect(this.inst.el.children.length).to.be.equal(7);
+			expect(getPositions(this.inst.layoutManager.items)).to.deep.equal([
+				[0, 0], [100, 0], [200, 0], [0, 100], [100, 110], [200, 120], [100, 210],
+			]);
+			expect(this.inst.el.style.height).to.be.equal("310px");
+			done();
+		});
+	});
+
+	it("should remove card elements of a group", done => {
+		// Given
+		const removeHandler = sinon.spy();
+
+		this.inst.on("remove", removeHandler);
+		this.inst.append(getCards([100, 100, 100]), 1);
+		this.inst.append(getCards([100, 100]), 2);
+		this.inst.append(getCards([100]), 3, {}).then(() => {
+			// When
+			const removed = this.inst.remove(2, {relayout: true});
+
+			// Then
+			expect(removed.map(v => v.groupKey)).to.deep.equal([2, 2]);
+			expect(this.inst.getGroupKeys()).to.deep.equal([1, 1, 1, 3]);
+			expect(getPositions(this.inst.layoutManager.items.slice(3))).to.deep.equal([[0, 100]]);
+			expect(this.inst.el.style.height).to.be.equal("200px");
+			expect(removeHandler.args[0][0].isRelayout).to.be.true;
+			done();
+		});
+	});
+
+	it("should remove card elements of a group with a string group key", done => {
+		// Given
+		this.inst.append(getCards([100, 100, 100]), "a");
+		this.inst.append(getCards([100, 100]), "b", {}).then(() => {
+			// When
+			const removed = this.inst.remove("a", {relayout: true});
+
+			// Then
+			expect(removed.length).to.be.equal(3);
+			expect(this.inst.getGroupKeys()).to.deep.equal(["b", "b"]);
+			expect(this.inst.remove("c")).to.be.deep.equal([]);
+			expect(this.inst.remove(document.createElement("li"))).to.be.null;
+			done();
+		});
+	});
+
+	it("should remove card elements of a group after queued operations", done => {
+		// Given
+		this.inst.append(getCards([100, 100, 100]), 1);
+		this.inst.append(getCards([100, 100]), 2);
+
+		// When
+		const removed = this.inst.remove(1, {relayout: true});
+
+		// Then
+		expect(removed).to.be.null;
+		this.inst.once("remove", e => {
+			expect(e.target.length).to.be.equal(3);
+			expect(this.inst.getGroupKeys()).to.deep.equal([2, 2]);
+			expect(getPositions(this.inst.layoutManager.items)).to.deep.equal([[0, 0], [100, 0]]);
+			done();
+		});
+	});
+});
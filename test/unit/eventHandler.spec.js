@@ -232,3 +232,53 @@ describe("InfiniteGrid scroll eventHandler Test", function() {
 	    this.inst.prepend(Content.prepend(200));
 	});
 });
+
+describe("InfiniteGrid container eventHandler Test", function() {
+	beforeEach(() => {
+        this.el = sandbox();
+		this.el.innerHTML = `<div id="scroller" style="height:300px;overflow-y:scroll;position:relative;">
+            <ul id="grid"></ul>
+        </div>`;
+        this.container = document.getElementById("scroller");
+        this.inst = new InfiniteGrid("#grid", {
+			"count": 30,
+			"threshold": 100,
+			"container": this.container,
+		});
+	});
+	afterEach(() => {
+        if(this.inst) {
+			this.inst.destroy();
+			this.inst = null;
+		}
+        cleanup();
+	});
+
+	it("should use a container as a scroll area", () => {
+        // Then
+        expect(this.inst.view).to.be.equal(this.container);
+        expect(this.inst._status.clientHeight).to.be.equal(300);
+	});
+
+	it("should append on scroll of a container", done => {
+        // Given
+        const appendHandler = sinon.spy();
+
+        this.inst.on({
+            "layoutComplete": e => {
+                // When
+                this.container.scrollTop = this.container.scrollHeight;
+                this.container.dispatchEvent(new Event("scroll"));
+
+                // Then
+                expect(this.container.scrollTop).to.be.above(0);
+                expect(appendHandler.calledOnce).to.be.true;
+                done();
+            },
+            "append": appendHandler
+        });
+
+        // When
+	    this.inst.append(Content.append(50));
+	});
+});